@@ -3,54 +3,123 @@
 // 设计目标：稳定可靠的长期对话记忆系统
 
 import { MemorySystem } from './memorySystem.js';
+import { LexicalIndex } from './lexicalIndex.js';
+import { STORES, idbPut, idbGet, idbDelete } from './db.js';
+import { loadMemoryLayers, applyMemoryChange, replaceMemories, deleteConversationMemories, readMemoryRecords, writeMemoryRecords } from './memoryStore.js';
+import { CompactionScheduler } from './compactionScheduler.js';
+import { ProactiveScheduler, normalizeProactiveSettings } from './proactiveScheduler.js';
+import { filterMessages, toMarkdown, toHTML, inlineImage, formatTimeLabel, needsTimeSeparator } from './exporters.js';
+import { detectAdapter } from './importAdapters.js';
+import { estimateTokens, estimateMessageTokens } from './tokenizer.js';
+import { allocateContext } from './contextBudget.js';
+import { FactStore } from './factStore.js';
+import { extractFacts, sanitizeFacts } from './factExtractor.js';
+import { summarizeWithSources, summaryItems, reviseSummary } from './summarizer.js';
+import { Outbox } from './outbox.js';
+import { VoiceRecorder, voiceSupported } from './voiceRecorder.js';
+import { STICKER_COLLECTION, readImageFile, saveMedia, getMedia, deleteMedia, listStickers, copyMedia, deleteConversationMedia, exportMedia, importMedia, blobToDataUrl, setMediaKey, rekeyMedia, deleteEncryptedMedia } from './mediaStore.js';
+import { TtsCache } from './ttsCache.js';
+import { SpeechQueue, PLAYBACK_RATES } from './speechQueue.js';
+import { TabSync } from './tabSync.js';
+import { MEMORY_CONFIG, CONTEXT_BUDGET } from './config.js';
+import { WrongPassphraseError, encryptText, decryptText, decryptWithPassphrase, sameKdf, createVerifier, unlockVerifier } from './crypto.js';
+
+const HANDLE_STORE = STORES.handles;
+const BACKUP_STORE = STORES.backups;
+
+// 会话存储键：会话列表 + 每个会话一份快照（messages / memoryChunks）；分层记忆在 memories 存储区
+const CONVERSATIONS_KEY = 'conversations';
+const LEGACY_SESSION_KEY = 'latest_session'; // 旧版单会话快照，首次加载时迁移为一个会话
+const convKey = (id) => 'conv_' + id;
+const handleKey = (id) => 'savedFileHandle_' + id;
+const indexKey = (id) => 'index_' + id; // 每个会话的 BM25 检索索引
+const compactionKey = (id) => 'compaction_' + id; // 每个会话的定时压缩状态与运行报告
+const archiveKey = (id) => 'archive_' + id; // 每个会话被总结移出活跃区的原始消息（供历史搜索）
+const OUTBOX_KEY = 'outbox'; // 发送失败、等待重试的消息（所有会话共用一个队列）
+const proactiveKey = (id) => 'proactive_' + id; // 每个会话上次主动发消息的时间
+const PROACTIVE_SETTINGS_KEY = 'proactive'; // 主动消息设置（localStorage，本机有效）
+const RETRY_BUSY_DELAY = 3000; // 到期时正在接收其他回复，稍后再试
+const STATE_RESEND_DELAY = 15_000; // 交给写入者的内容超过这段时间仍未确认时重发
+const MEDIA_TEXT = { image: '[图片]', sticker: '[表情]', voice: '[语音]' }; // 媒体消息的文字内容（用于摘要、检索与上下文；语音有识别结果时用识别结果）
+const MEDIA_KINDS = Object.keys(MEDIA_TEXT);
+const MAX_ATTACHMENTS = 4; // 每次请求最多随 structured_context.attachments 发送的图片数
+
+// 备份文件格式：header JSON + 分隔符 + 正文 JSON。v1 正文为消息数组；
+// v2 正文为 {messages, memoryChunks, memory: {layers}, settings}，header 带正文的 SHA-256 校验和
+const EXPORT_SEPARATOR = '\n----CHAT-JSON----\n';
+const EXPORT_VERSION = 2;
+const LAYER_NAMES = ['shortTerm', 'mediumTerm', 'longTerm'];
+
+// 上下文各部分在调试面板中的名称；人设字段按优先级从高到低
+const CONTEXT_SECTION_LABELS = { persona: '人设', facts: '用户资料', pinned: '置顶记忆', chunks: '检索记忆', recent: '最近对话' };
+const PERSONA_FIELDS = ['system_prompt', 'speaking_style', 'example_dialogues'];
+const FACT_EXTRACT_DELAY = 4000; // 用户停止输入一段时间后再批量提取资料
+
+// 口令模式：localStorage 中只保存口令校验信封；加密的导出文件为 header + 分隔符 + 信封 JSON
+const VERIFIER_KEY = 'passphraseVerifier';
+const ENCRYPTED_SEPARATOR = '\n----ENCRYPTED-CHAT----\n';
+
+async function sha256Hex(text) {
+  const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
 
-const DB_NAME = 'wechat_chat_db_v2'; // 升级数据库版本以支持新的记忆系统
-const HANDLE_STORE = 'file_handles';
-const BACKUP_STORE = 'backups';
-const MEMORY_STORE = 'memories'; // 新增记忆存储
-
-// 简单 IndexedDB helper
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, 1);
-    req.onupgradeneeded = (e) => {
-      const db = e.target.result;
-      if (!db.objectStoreNames.contains(HANDLE_STORE)) db.createObjectStore(HANDLE_STORE);
-      if (!db.objectStoreNames.contains(BACKUP_STORE)) db.createObjectStore(BACKUP_STORE);
-    };
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
+// 消息 id：用于把界面气泡（data-msg-id）对应回 messages，旧数据缺失时补齐
+const newMessageId = (ts = Date.now()) => 'msg_' + ts + '_' + Math.random().toString(36).slice(2, 8);
+
+function normalizeMessage(m) {
+  const ts = m.ts || Date.now();
+  return {
+    id: m.id || newMessageId(ts),
+    role: m.role === 'assistant' || m.role === 'boyfriend' ? 'assistant' : 'user',
+    text: m.text,
+    ts,
+    ...(m.partial ? { partial: true } : {}),
+    ...(m.editedAt ? { editedAt: m.editedAt } : {}),
+    // 图片 / 表情 / 语音消息只引用 media 存储区中的文件
+    ...(m.media && m.media.id ? { media: normalizeMedia(m.media) } : {}),
+    // “发送中”只在本次页面内有意义：刷新时请求已中断
+    ...(m.status && m.status !== 'sending' ? { status: m.status } : {})
+  };
 }
 
-async function idbPut(store, key, value) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(store, 'readwrite');
-    const s = tx.objectStore(store);
-    const r = s.put(value, key);
-    r.onsuccess = () => resolve();
-    r.onerror = () => reject(r.error);
-  });
+// 消息中的媒体引用：图片 / 表情带尺寸，语音带时长（毫秒）
+function normalizeMedia(media) {
+  const kind = MEDIA_KINDS.includes(media.kind) ? media.kind : 'image';
+  return kind === 'voice'
+    ? { id: media.id, kind, mime: media.mime, duration: media.duration }
+    : { id: media.id, kind, mime: media.mime, width: media.width, height: media.height };
 }
 
-async function idbGet(store, key) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(store, 'readonly');
-    const s = tx.objectStore(store);
-    const r = s.get(key);
-    r.onsuccess = () => resolve(r.result);
-    r.onerror = () => reject(r.error);
-  });
+// 旧格式（v1）文件的消息可以把图片内嵌为 media.dataUrl：取出为与 v2 正文 media 相同的列表
+function inlineMedia(messages) {
+  return messages
+    .filter(m => m && m.media && m.media.id && typeof m.media.dataUrl === 'string')
+    .map(m => ({ ...m.media }));
 }
 
 // Chat state
 
 const ChatManager = {
-  messages: [], // {role:'me'|'assistant', text, ts}
+  messages: [], // {id, role:'user'|'assistant', text, ts, partial?, editedAt?, status?, media?}（status：我的消息 sending / sent / read / failed；media：{id, kind, mime, width, height}）
   memoryChunks: [], // 历史摘要记忆块
   memorySystem: null, // 分层记忆系统实例
+  factStore: null, // 用户资料（结构化事实），随会话快照保存
+  _pendingFactMessages: [], // 等待提取资料的用户消息
+  outbox: null, // 发送失败、等待重试的用户消息（Outbox）
+  _mediaUrls: new Map(), // 媒体 id -> object URL（切换会话时释放）
+  _voicePlayer: null, // 播放语音消息的 { audio, el }
+  searchIndex: null, // 记忆块与分层记忆的 BM25 索引（LexicalIndex）
+  compactionScheduler: null, // 按 compressionSchedule 定时压缩记忆（CompactionScheduler）
+  conversationId: null, // 当前会话 id
+  conversations: [], // 会话列表 {id, title, createdAt, updatedAt, messageCount, personaId}
+  tabSync: null, // 多标签页协作（TabSync）：只有写入者写会话快照
+  _rev: 0, // 当前会话已同步的快照版本（每次写入加 1）
+  _syncedBody: null, // 与 _rev 对应的内容（JSON），用于判断本页是否有未保存的更改
+  _pendingState: null, // 已交给写入者、尚未确认的内容 {body, at}
+  _stale: false, // 其他标签页写入了更新的版本，而本页有未保存的更改：不再写入，等待用户载入最新内容
+  vaultKey: null, // 口令模式下由口令派生的密钥，只保存在内存中
+  _archive: null, // 当前会话的归档消息缓存 {conversationId, messages}，首次搜索时读取
   recentN: 25,
   autosave: false,
   savedFileHandle: null, // FileSystemFileHandle (Chromium)
@@ -72,22 +141,29 @@ const ChatManager = {
 
   async init(opts = {}) {
     this.initOptions = opts;
-    // 初始化记忆系统
+    // 初始化记忆系统与检索索引
     this.memorySystem = new MemorySystem();
+    this.searchIndex = new LexicalIndex();
+    this._bindMemorySystem();
+    this.compactionScheduler = this._createCompactionScheduler();
+    this.proactiveScheduler = this._createProactiveScheduler();
     // bind UI
     this.chatMessagesEl = opts.chatMessagesEl;
     // 包装渲染函数：拦截外部对助手消息的渲染，确保写入 ChatManager.messages 与备份
+    // addMessageFn(message) 按消息对象渲染气泡：{id, role, text, ts, status?, partial?, editedAt?}
     if (typeof opts.addMessageFn === 'function') {
       const _origAdd = opts.addMessageFn;
-      this.addMessageFn = (text, who, isAssistant) => {
-        _origAdd(text, who, isAssistant);
-        // 仅当不是内部重渲染阶段，且为助手消息时，记录进消息数组
-        if (!this._isRendering && (isAssistant || who === 'boyfriend')) {
+      this.addMessageFn = (message) => {
+        const el = _origAdd(message);
+        const text = message.text;
+        // 仅当不是内部重渲染阶段，且为尚未记录的助手消息时，记录进消息数组
+        if (!this._isRendering && message.role === 'assistant' && !message.id) {
           const last = this.messages[this.messages.length - 1];
           // 去重：避免重复写入完全相同的最后一条助手消息
           if (!(last && last.role === 'assistant' && last.text === text)) {
-            const m = { role: 'assistant', text, ts: Date.now() };
+            const m = { id: newMessageId(), role: 'assistant', text, ts: message.ts || Date.now() };
             this.messages.push(m);
+            if (el) el.dataset.msgId = m.id;
             // 同步写入记忆系统（短期记忆）
             if (this.memorySystem) {
               try {
@@ -99,31 +175,70 @@ const ChatManager = {
             this._updateDebugPanel();
           }
         }
+        return el;
       };
     } else {
       this.addMessageFn = null;
     }
+    // 气泡的右键/长按菜单（编辑、删除、重新生成）
+    this._bindMessageActions();
+    // 按住说话（浏览器不支持录音时隐藏按钮）
+    if (opts.voiceButtonEl) this._bindVoiceButton(opts.voiceButtonEl);
+    // 语音合成缓存（“转语音”的结果），页面通过 ChatManager.ttsCache 读写
+    this.ttsCache = new TtsCache();
+    // 朗读队列：手动“转语音”与自动朗读共用页面的 <audio>，由 initOptions.synthesizeSpeech(text, { download }) 生成语音
+    this.speechQueue = this._createSpeechQueue();
     // 初始化调试面板更新
     this._initDebugPanel();
     // load config from localStorage
     this.recentN = parseInt(localStorage.getItem('recentN') || '25', 10);
     this.autosave = localStorage.getItem('autosave') === 'true';
-    // load saved handle if any
+    this.autoRead = localStorage.getItem('autoRead') === 'true';
+    // 口令模式：读取任何快照之前先解锁
+    if (this.encryptionEnabled()) await this._unlockAtStartup();
+    // 待发送队列需在渲染会话前读入，发送失败的消息才能带上重试标记（只有写入者重试，见 _createOutbox）
+    this.tabSync = this._createTabSync();
+    this.outbox = this._createOutbox();
+    await this.outbox.start();
+    // 加载会话列表（含旧版 latest_session 的迁移）
     try {
-      const handle = await idbGet(HANDLE_STORE, 'savedFileHandle');
-      if (handle) this.savedFileHandle = handle;
+      await this.loadConversationIndex();
     } catch (e) {
-      console.warn('no saved file handle in idb', e);
+      console.warn('load conversation index failed', e);
     }
+    // 解锁并读入会话列表后再参与写入者选举：写入者需要能加密其他标签页交来的快照
+    this.tabSync.start();
 
     // hook UI controls if present
     const importBtn = document.getElementById('import-btn');
     const exportBtn = document.getElementById('export-btn');
+    const conversationBtn = document.getElementById('conversation-btn');
+    const searchBtn = document.getElementById('search-btn');
+    const factsBtn = document.getElementById('facts-btn');
     const autosaveToggle = document.getElementById('autosave-toggle');
+    const autoReadToggle = document.getElementById('autoread-toggle');
     const recentSelect = document.getElementById('recent-n-select');
-
+    const encryptionEnableBtn = document.getElementById('encryption-enable-btn');
+    const encryptionDisableBtn = document.getElementById('encryption-disable-btn');
+    const ttsCacheClearBtn = document.getElementById('tts-cache-clear-btn');
+    const staleReloadBtn = document.getElementById('stale-reload-btn');
+
+    if (encryptionEnableBtn) encryptionEnableBtn.addEventListener('click', () => this.enablePassphrase());
+    if (encryptionDisableBtn) encryptionDisableBtn.addEventListener('click', () => this.disablePassphrase());
+    this._updateEncryptionStatus();
+    if (ttsCacheClearBtn) ttsCacheClearBtn.addEventListener('click', () => this.clearTtsCache());
+    if (staleReloadBtn) staleReloadBtn.addEventListener('click', () => this.reloadLatest());
+    this._bindProactiveSettings();
+    this.updateTtsCacheStatus();
     if (importBtn) importBtn.addEventListener('click', () => this.triggerImport());
-    if (exportBtn) exportBtn.addEventListener('click', () => this.exportCurrentSession());
+    if (exportBtn) exportBtn.addEventListener('click', () => this.showExportDialog());
+    if (conversationBtn) conversationBtn.addEventListener('click', () => this.showConversationPanel());
+    if (searchBtn) searchBtn.addEventListener('click', () => this.showSearchPanel());
+    if (factsBtn) factsBtn.addEventListener('click', () => this.showFactsPanel());
+    if (autoReadToggle) {
+      autoReadToggle.checked = this.autoRead;
+      autoReadToggle.addEventListener('change', (e) => this.setAutoRead(e.target.checked));
+    }
     if (autosaveToggle) {
       autosaveToggle.checked = this.autosave;
       autosaveToggle.addEventListener('change', (e) => {
@@ -140,13 +255,6 @@ const ChatManager = {
       });
     }
 
-    // load backup messages if exist
-    const backup = await idbGet(BACKUP_STORE, 'latest_session');
-    if (backup && Array.isArray(backup.messages) && backup.messages.length) {
-      // we don't auto-restore here; let user import via modal on start
-      console.log('found backup session in indexeddb:', backup);
-    }
-
     // show startup modal to import or start new
     this.showStartupModal();
 
@@ -163,11 +271,9 @@ const ChatManager = {
       if (this.savedFileHandle) {
         e.preventDefault();
         // Note: writing during beforeunload may not be allowed in all browsers
-        try {
-          this.writeToSavedFile();
-        } catch (err) {
-          console.warn('write on beforeunload failed', err);
-        }
+        this._buildExportText()
+          .then(text => this.writeToSavedFile(text))
+          .catch(err => console.warn('write on beforeunload failed', err));
       } else if (this.autosave) {
         // trigger a download fallback (may be blocked)
         try { this.downloadBackup(); } catch (err) { console.warn(err); }
@@ -179,7 +285,7 @@ const ChatManager = {
   },
 
   async showStartupModal() {
-    // create a modal asking import previous chat or start new
+    // create a modal asking import previous chat, open an existing conversation or start new
     const modal = document.createElement('div');
     Object.assign(modal.style, {
       position: 'fixed', zIndex: 2000, left:0,top:0,right:0,bottom:0,display:'flex',alignItems:'center',justifyContent:'center',background:'rgba(0,0,0,0.5)'
@@ -188,11 +294,11 @@ const ChatManager = {
     Object.assign(box.style, {background:'#fff',padding:'18px',borderRadius:'8px',width:'90%',maxWidth:'480px'});
     box.innerHTML = `
       <h3 style="margin-top:0">导入历史聊天或开始新会话</h3>
-      <div style="margin-bottom:12px">你可以导入本地 `.trim() + `.txt 文件以恢复历史，或开始新的会话（默认保留 IndexedDB 备份）。</div>
+      <div style="margin-bottom:12px">你可以导入本地 `.trim() + `.txt 文件以恢复历史，继续已有会话，或开始新的会话（已有会话会保留在会话列表中）。</div>
     `;
     const importInput = document.createElement('input');
     importInput.type = 'file';
-    importInput.accept = '.txt,.json,text/plain';
+    importInput.accept = '.txt,.json,.csv,text/plain';
     importInput.style.display = 'block';
     importInput.style.marginBottom = '8px';
     const importBtn = document.createElement('button');
@@ -203,6 +309,8 @@ const ChatManager = {
     restoreBtn.style.marginRight = '8px';
     const newBtn = document.createElement('button');
     newBtn.textContent = '开始新会话';
+    const list = document.createElement('div');
+    Object.assign(list.style, {marginTop:'12px',maxHeight:'200px',overflowY:'auto'});
     const note = document.createElement('div');
     note.style.marginTop = '12px';
     note.style.fontSize = '13px';
@@ -213,132 +321,506 @@ const ChatManager = {
     box.appendChild(importBtn);
     box.appendChild(restoreBtn);
     box.appendChild(newBtn);
+    box.appendChild(list);
     box.appendChild(note);
     modal.appendChild(box);
     document.body.appendChild(modal);
 
-    // 初始化恢复按钮状态
-    try {
-      const [backup, cacheRaw] = await Promise.all([
-        idbGet(BACKUP_STORE, 'latest_session'),
-        Promise.resolve(localStorage.getItem(this._localCacheKey))
-      ]);
-      const cache = cacheRaw ? JSON.parse(cacheRaw) : null;
-      const hasAny = (backup && Array.isArray(backup.messages) && backup.messages.length) ||
-                     (cache && Array.isArray(cache.messages) && cache.messages.length);
-      if (!hasAny) {
-        restoreBtn.disabled = true;
-        restoreBtn.textContent = '恢复上次会话（无可用）';
-      }
-    } catch (e) {
-      restoreBtn.disabled = true;
-      restoreBtn.textContent = '恢复上次会话（不可用）';
-    }
+    const close = () => { if (modal.parentNode) document.body.removeChild(modal); };
 
-    // 点击恢复：从 IndexedDB 读取最近快照
-    restoreBtn.addEventListener('click', async () => {
+    // 打开会话并整理历史：保留最近 recentN，其余折叠为记忆块
+    const openAndReport = async (id) => {
       try {
-        const [idbSnap, cacheRaw] = await Promise.all([
-          idbGet(BACKUP_STORE, 'latest_session'),
-          Promise.resolve(localStorage.getItem(this._localCacheKey))
-        ]);
-        const cache = cacheRaw ? JSON.parse(cacheRaw) : null;
-        // 选择较新的快照
-        let backup = idbSnap;
-        if (cache && (!backup || (cache.ts && backup.ts && cache.ts > backup.ts))) {
-          backup = cache;
-        }
-        if (!backup || !Array.isArray(backup.messages)) {
-          alert('没有可恢复的会话（本地未找到备份）');
-          return;
-        }
-        this.messages = (backup.messages || []).map(m => ({
-          role: m.role === 'assistant' || m.role === 'boyfriend' ? 'assistant' : 'user',
-          text: m.text,
-          ts: m.ts || Date.now()
-        }));
-        this.memoryChunks = Array.isArray(backup.memoryChunks) ? backup.memoryChunks : [];
-        this.renderAllMessages();
-        // 恢复后自动整理一次历史：保留最近 recentN，其余折叠为记忆块，并保存备份
+        await this.switchConversation(id);
         try {
           await this.summarizeOlderHistoryIfAny();
         } catch (err) {
           console.warn('auto summarize after restore failed', err);
         }
         if (typeof this._updateDebugPanel === 'function') this._updateDebugPanel();
-        alert(`已恢复上次会话\n活跃消息：${this.messages.length}条\n记忆块：${this.memoryChunks.length}个`);
-        document.body.removeChild(modal);
+        alert(`已恢复会话「${this._conversationMeta(id)?.title || ''}」\n活跃消息：${this.messages.length}条\n记忆块：${this.memoryChunks.length}个`);
+        close();
       } catch (e) {
-        console.warn('restore from indexeddb failed', e);
+        console.warn('restore conversation failed', e);
         alert('恢复失败，请稍后重试');
       }
-    });
+    };
+
+    // 已有会话列表（按最近更新排序）
+    const sorted = [...this.conversations].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    for (const c of sorted) {
+      const row = document.createElement('div');
+      Object.assign(row.style, {display:'flex',alignItems:'center',justifyContent:'space-between',padding:'6px 0',borderTop:'1px solid #eee',fontSize:'14px'});
+      const label = document.createElement('span');
+      label.textContent = `${c.title}（${c.messageCount || 0}条，${new Date(c.updatedAt || c.createdAt).toLocaleString()}）`;
+      const openBtn = document.createElement('button');
+      openBtn.textContent = '打开';
+      openBtn.addEventListener('click', () => openAndReport(c.id));
+      row.appendChild(label);
+      row.appendChild(openBtn);
+      list.appendChild(row);
+    }
+
+    // 初始化恢复按钮状态：恢复上次使用的会话（没有则取最近更新的）
+    const lastId = localStorage.getItem('activeConversationId');
+    const restoreTarget = this._conversationMeta(lastId) || sorted[0];
+    if (!restoreTarget) {
+      restoreBtn.disabled = true;
+      restoreBtn.textContent = '恢复上次会话（无可用）';
+    }
+    restoreBtn.addEventListener('click', () => openAndReport(restoreTarget.id));
 
     importBtn.addEventListener('click', async () => {
       const file = importInput.files && importInput.files[0];
       if (!file) return alert('请先选择一个 .txt 文件');
-      const imported = await this.importChatFromFile(file);
-      if (imported) {
-        // 注意：importChatFromFile 已经处理了压缩和裁剪
-        // imported.chats 已经是最近的 recentN 条消息
-        // 记忆块已经在 importChatFromFile 中添加到 this.memoryChunks
-        this.messages = imported.chats.map(c => ({ role: c.role === 'assistant' || c.role === 'boyfriend' ? 'assistant' : 'user', text: c.text, ts: c.ts || Date.now() }));
-        this.renderAllMessages();
-        
-        // 显示导入结果
-        const summary = `导入成功！\n活跃消息：${this.messages.length}条\n记忆块：${this.memoryChunks.length}个`;
-        alert(summary);
-        console.log('📊 导入统计:', {
-          活跃消息: this.messages.length,
-          记忆块: this.memoryChunks.length,
-          记忆块详情: this.memoryChunks.map(mc => ({
-            id: mc.id,
-            本地压缩: mc.isLocalCompressed || false,
-            摘要长度: mc.summary.length
-          }))
-        });
-        
-        document.body.removeChild(modal);
+      if (await this.importIntoNewConversation(file)) close();
+    });
+
+    newBtn.addEventListener('click', async () => {
+      // start fresh: 新建会话，旧会话保留在列表中
+      await this.createConversation();
+      close();
+    });
+  },
+
+  // ---------------- 会话管理 ----------------
+
+  _conversationMeta(id) {
+    return this.conversations.find(c => c.id === id) || null;
+  },
+
+  async _saveConversationIndex() {
+    await idbPut(BACKUP_STORE, CONVERSATIONS_KEY, this.conversations);
+    if (this.tabSync) this.tabSync.post('conversations');
+  },
+
+  // 读取会话列表；首次加载时把旧版 latest_session 快照迁移为一个会话
+  async loadConversationIndex() {
+    const list = await idbGet(BACKUP_STORE, CONVERSATIONS_KEY);
+    this.conversations = Array.isArray(list) ? list : [];
+    if (this.conversations.length) return;
+
+    const [legacy, cacheRaw] = await Promise.all([
+      idbGet(BACKUP_STORE, LEGACY_SESSION_KEY),
+      Promise.resolve(localStorage.getItem(this._localCacheKey))
+    ]);
+    let snap = legacy;
+    const cache = cacheRaw ? JSON.parse(cacheRaw) : null;
+    if (cache && !cache.conversationId && (!snap || (cache.ts && snap.ts && cache.ts > snap.ts))) snap = cache;
+    if (!snap || !Array.isArray(snap.messages) || !snap.messages.length) return;
+
+    const id = this._newConversationId();
+    const now = Date.now();
+    await idbPut(BACKUP_STORE, convKey(id), { ...snap, conversationId: id });
+    // 旧版全局文件句柄归属到迁移出的会话
+    try {
+      const handle = await idbGet(HANDLE_STORE, 'savedFileHandle');
+      if (handle) await idbPut(HANDLE_STORE, handleKey(id), handle);
+    } catch (_) {}
+    this.conversations = [{ id, title: '上次会话', createdAt: snap.ts || now, updatedAt: snap.ts || now, messageCount: snap.messages.length }];
+    await this._saveConversationIndex();
+    localStorage.setItem('activeConversationId', id);
+    await idbDelete(BACKUP_STORE, LEGACY_SESSION_KEY);
+    console.log('已将旧版会话快照迁移为会话:', id);
+  },
+
+  _newConversationId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  },
+
+  // 读取会话快照：IndexedDB 与本地缓存中取较新的一份
+  async _loadConversationSnapshot(id) {
+    const [idbSnap, cacheRaw] = await Promise.all([
+      idbGet(BACKUP_STORE, convKey(id)),
+      Promise.resolve(localStorage.getItem(this._localCacheKey))
+    ]);
+    const cache = cacheRaw ? JSON.parse(cacheRaw) : null;
+    let snap = idbSnap;
+    if (cache && cache.conversationId === id && (!snap || ((cache.rev || 0) >= (snap.rev || 0) && cache.ts && snap.ts && cache.ts > snap.ts))) {
+      snap = cache;
+    }
+    return this._openSnapshot(snap);
+  },
+
+  // 当前人设（由页面通过 init 的 getActivePersona 提供）
+  _activePersona() {
+    return typeof this.initOptions.getActivePersona === 'function' ? this.initOptions.getActivePersona() : null;
+  },
+
+  async createConversation(title, personaId) {
+    // 先保存当前会话，避免切换时丢失
+    if (this.conversationId) await this.backupToIndexedDB();
+    const id = this._newConversationId();
+    const now = Date.now();
+    const persona = this._activePersona();
+    this.conversations.push({
+      id,
+      title: title || `会话 ${new Date(now).toLocaleString()}`,
+      createdAt: now,
+      updatedAt: now,
+      messageCount: 0,
+      personaId: personaId || (persona && persona.id) || null
+    });
+    await this._saveConversationIndex();
+    await this._activateConversation(id, null);
+    await this.backupToIndexedDB();
+    return id;
+  },
+
+  async switchConversation(id) {
+    if (!this._conversationMeta(id)) throw new Error('conversation not found: ' + id);
+    if (this.conversationId && this.conversationId !== id) await this.backupToIndexedDB();
+    const snap = await this._loadConversationSnapshot(id);
+    await this._activateConversation(id, snap);
+  },
+
+  // 把快照装载为当前状态：人设、消息、记忆块、记忆系统与文件句柄
+  async _activateConversation(id, snap) {
+    if (this._selection) this._selection.exit(); // 选中的消息属于原会话
+    if (this.speechQueue) this.speechQueue.stop(); // 朗读中的气泡属于原会话
+    this.conversationId = id;
+    this._archive = null;
+    this._releaseMediaUrls();
+    localStorage.setItem('activeConversationId', id);
+    // 会话记住开始时的人设；旧会话没有记录时沿用当前人设。人设已被删除时页面会回退到其他人设
+    const meta = this._conversationMeta(id);
+    if (meta && typeof this.initOptions.setActivePersona === 'function') {
+      const persona = meta.personaId ? this.initOptions.setActivePersona(meta.personaId) : this._activePersona();
+      if (persona && persona.id !== meta.personaId) {
+        meta.personaId = persona.id;
+        await this._saveConversationIndex();
+      }
+    }
+    this.messages = ((snap && snap.messages) || []).map(normalizeMessage);
+    this.memoryChunks = Array.isArray(snap && snap.memoryChunks) ? snap.memoryChunks : [];
+    this.factStore = new FactStore(snap && snap.facts);
+    this._pendingFactMessages = [];
+    this._rev = (snap && snap.rev) || 0;
+    this._syncedBody = this._stateBody();
+    this._pendingState = null;
+    this._setStale(false);
+    // 先载入已保存的索引，再装载记忆；之后只需对齐增量，无需整体重建
+    await this._loadSearchIndex(id);
+    // 分层记忆以 memories 存储区为准；尚未迁移的旧快照（内嵌 memory 字段）读入后写回存储区
+    this.memorySystem = new MemorySystem();
+    let stored = null;
+    try {
+      stored = await loadMemoryLayers(id, this.vaultKey);
+    } catch (e) {
+      console.warn('load memories failed', e);
+    }
+    const legacyLayers = !stored && snap && snap.memory && snap.memory.layers;
+    this.memorySystem.loadLayers(stored || legacyLayers || null);
+    this._bindMemorySystem();
+    if (legacyLayers) {
+      try { await replaceMemories(id, this.memorySystem, this.vaultKey); } catch (e) { console.warn('migrate memories failed', e); }
+    }
+    this._syncSearchIndex();
+    this.messagesSinceLastSummarize = 0;
+    this.savedFileHandle = null;
+    try {
+      const handle = await idbGet(HANDLE_STORE, handleKey(id));
+      if (handle) this.savedFileHandle = handle;
+    } catch (e) {
+      console.warn('no saved file handle in idb', e);
+    }
+    this.renderAllMessages();
+    this._updateConversationTitle();
+    this._updateDebugPanel();
+    // 只为当前会话的待发送消息定时；已到期的立即重试
+    if (this.outbox) this.outbox.schedule();
+    // 渲染完成后再补跑页面关闭期间错过的每日/每周压缩（可能要调用摘要接口，不等待），并定时到下一次计划时间
+    this._startCompaction();
+    // 主动消息在渲染完成后检查，到期的直接发到当前会话
+    this._startProactive();
+  },
+
+  // 用户在设置中换了人设：空会话直接改用新人设，否则为新人设新建会话（原会话保留原人设）。
+  // 返回 true 表示新建了会话
+  async onPersonaSelected(personaId) {
+    const meta = this._conversationMeta(this.conversationId);
+    if (!meta || meta.personaId === personaId) return false;
+    if (!this.messages.length) {
+      meta.personaId = personaId;
+      await this._saveConversationIndex();
+      return false;
+    }
+    await this.createConversation(undefined, personaId);
+    return true;
+  },
+
+  async renameConversation(id, title) {
+    const meta = this._conversationMeta(id);
+    if (!meta || !title) return;
+    meta.title = title;
+    await this._saveConversationIndex();
+    this._updateConversationTitle();
+  },
+
+  async deleteConversation(id) {
+    const idx = this.conversations.findIndex(c => c.id === id);
+    if (idx < 0) return;
+    this.conversations.splice(idx, 1);
+    await this._saveConversationIndex();
+    await idbDelete(BACKUP_STORE, convKey(id));
+    try { await idbDelete(BACKUP_STORE, indexKey(id)); } catch (_) {}
+    try { await idbDelete(BACKUP_STORE, compactionKey(id)); } catch (_) {}
+    try { await idbDelete(BACKUP_STORE, archiveKey(id)); } catch (_) {}
+    try { await deleteConversationMedia(id); } catch (e) { console.warn('delete media failed', e); }
+    if (this.outbox) await this.outbox.clear(id);
+    try { await deleteConversationMemories(id); } catch (e) { console.warn('delete memories failed', e); }
+    try { await idbDelete(HANDLE_STORE, handleKey(id)); } catch (_) {}
+    try {
+      const cache = JSON.parse(localStorage.getItem(this._localCacheKey) || 'null');
+      if (cache && cache.conversationId === id) localStorage.removeItem(this._localCacheKey);
+    } catch (_) {}
+    if (this.conversationId === id) {
+      // 删除当前会话：切到最近更新的会话，没有则新建
+      this.conversationId = null;
+      const next = [...this.conversations].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))[0];
+      if (next) await this.switchConversation(next.id); else await this.createConversation();
+    }
+  },
+
+  // 导出指定会话（非当前会话从快照读取）。options.voiceClips：附带缓存的“转语音”音频
+  async exportConversation(id, options = {}) {
+    if (id === this.conversationId) return this.exportCurrentSession(options);
+    const meta = this._conversationMeta(id);
+    const snap = await this._loadConversationSnapshot(id);
+    let layers = null;
+    try { layers = await loadMemoryLayers(id, this.vaultKey); } catch (e) { console.warn('load memories failed', e); }
+    const text = await this._buildExportText(((snap && snap.messages) || []).map(normalizeMessage), meta, {
+      memoryChunks: (snap && snap.memoryChunks) || [],
+      layers: layers || (snap && snap.memory && snap.memory.layers) || null,
+      facts: (snap && snap.facts) || [],
+      voiceClips: options.voiceClips
+    });
+    this._downloadText(text, this._exportFilename('chat', meta));
+  },
+
+  // 导入文件为一个新会话（不覆盖已有会话）
+  async importIntoNewConversation(file) {
+    const imported = await this.importChatFromFile(file);
+    if (!imported) return false;
+    // importChatFromFile 已经处理了压缩和裁剪：imported.chats 为最近 recentN 条，记忆块在 imported.memoryChunks
+    const title = (imported.meta && imported.meta.title) || file.name.replace(/\.[^.]+$/, '');
+    const report = imported.report || { restored: [], skipped: [] };
+    const personaId = imported.settings ? this._applyImportedSettings(imported.settings, report) : undefined;
+    await this.createConversation(title, personaId);
+    if (imported.media && imported.media.length) {
+      // 导入的媒体换用了新 id：消息（含归档）随之改写
+      const ids = await importMedia(imported.media, this.conversationId);
+      for (const m of [...imported.chats, ...(imported.archived || [])]) {
+        if (m.media && ids.has(m.media.id)) m.media = { ...m.media, id: ids.get(m.media.id) };
       }
+    }
+    if (imported.voiceClips && imported.voiceClips.length) {
+      try { await this.ttsCache.importClips(imported.voiceClips, [...imported.chats, ...(imported.archived || [])]); } catch (e) { console.warn('import voice clips failed', e); }
+    }
+    this.messages = imported.chats.map(normalizeMessage);
+    this.memoryChunks = imported.memoryChunks;
+    if (imported.archived && imported.archived.length) await this._appendToArchive(imported.archived);
+    if (imported.layers) {
+      // 记忆层原样恢复（不触发压缩），整体写入 memories 存储区
+      this.memorySystem.loadLayers(imported.layers);
+      try { await replaceMemories(this.conversationId, this.memorySystem, this.vaultKey); } catch (e) { console.warn('restore memories failed', e); }
+    }
+    // 备份中的用户资料原样恢复；其他来源用规则从全部用户消息中提取（不调用接口）
+    if (imported.facts) {
+      this.factStore = new FactStore(imported.facts);
+    } else {
+      const userMessages = [...(imported.archived || []), ...imported.chats].filter(m => m.role === 'user').map(normalizeMessage);
+      this.factStore.upsert(extractFacts(userMessages));
+    }
+    this._syncSearchIndex();
+    this.renderAllMessages();
+    // 超出最近 N 条的导入消息整理为记忆块并归档
+    await this.summarizeOlderHistoryIfAny();
+    await this.backupToIndexedDB();
+
+    // 显示导入结果
+    let summary = `导入成功！\n会话：${title}\n活跃消息：${this.messages.length}条\n记忆块：${this.memoryChunks.length}个`;
+    if (report.restored.length) summary += `\n\n已恢复：${report.restored.join('、')}`;
+    if (report.skipped.length) summary += `\n已跳过：${report.skipped.join('、')}`;
+    alert(summary);
+    console.log('📊 导入统计:', {
+      活跃消息: this.messages.length,
+      记忆块: this.memoryChunks.length,
+      记忆块详情: this.memoryChunks.map(mc => ({
+        id: mc.id,
+        本地压缩: mc.isLocalCompressed || false,
+        摘要长度: mc.summary.length
+      }))
     });
+    return true;
+  },
 
-    newBtn.addEventListener('click', () => {
-      // start fresh: clear messages and memory
-      this.messages = [];
-      this.memoryChunks = [];
-      this.renderAllMessages();
-      document.body.removeChild(modal);
+  // 应用 v2 备份中的设置，记录到 report；返回导入后会话应使用的人设 id（没有时为 undefined）
+  _applyImportedSettings(settings, report) {
+    const n = parseInt(settings.recentN, 10);
+    if (n > 0 && n <= 500) {
+      this.recentN = n;
+      localStorage.setItem('recentN', String(n));
+      const recentSelect = document.getElementById('recent-n-select');
+      if (recentSelect) {
+        if (![...recentSelect.options].some(o => o.value === String(n))) recentSelect.add(new Option(String(n), String(n)));
+        recentSelect.value = String(n);
+      }
+      report.restored.push(`最近N条（${n}）`);
+    } else if (settings.recentN !== undefined) {
+      report.skipped.push(`最近N条（无效值 ${settings.recentN}）`);
+    }
+    const importSettings = this.initOptions.importSettings;
+    if (typeof importSettings !== 'function') {
+      if (settings.persona || settings.user) report.skipped.push('人设与头像（页面不支持导入设置）');
+      return undefined;
+    }
+    const result = importSettings(settings) || {};
+    report.restored.push(...(result.restored || []));
+    report.skipped.push(...(result.skipped || []));
+    return result.personaId || undefined;
+  },
+
+  _updateConversationTitle() {
+    const el = document.getElementById('conversation-title-display');
+    const meta = this._conversationMeta(this.conversationId);
+    if (el) el.textContent = meta ? meta.title : '';
+  },
+
+  // 会话管理面板：新建、重命名、切换、删除与单独导出
+  showConversationPanel() {
+    const modal = document.createElement('div');
+    Object.assign(modal.style, {
+      position: 'fixed', zIndex: 2000, left:0,top:0,right:0,bottom:0,display:'flex',alignItems:'center',justifyContent:'center',background:'rgba(0,0,0,0.5)'
     });
+    const box = document.createElement('div');
+    Object.assign(box.style, {background:'#fff',padding:'18px',borderRadius:'8px',width:'90%',maxWidth:'480px',maxHeight:'80vh',overflowY:'auto'});
+    modal.appendChild(box);
+    const close = () => { if (modal.parentNode) document.body.removeChild(modal); };
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+
+    const render = () => {
+      box.innerHTML = '<h3 style="margin-top:0">会话列表</h3>';
+      const newBtn = document.createElement('button');
+      newBtn.textContent = '新建会话';
+      newBtn.addEventListener('click', async () => {
+        const title = prompt('新会话名称：', `会话 ${new Date().toLocaleString()}`);
+        if (title === null) return;
+        await this.createConversation(title.trim() || undefined);
+        close();
+      });
+      box.appendChild(newBtn);
+
+      const sorted = [...this.conversations].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+      for (const c of sorted) {
+        const row = document.createElement('div');
+        Object.assign(row.style, {padding:'8px 0',borderTop:'1px solid #eee',fontSize:'14px'});
+        const label = document.createElement('div');
+        label.textContent = `${c.id === this.conversationId ? '● ' : ''}${c.title}（${c.messageCount || 0}条，${new Date(c.updatedAt || c.createdAt).toLocaleString()}）`;
+        if (c.id === this.conversationId) label.style.fontWeight = 'bold';
+        const actions = document.createElement('div');
+        Object.assign(actions.style, {display:'flex',gap:'6px',marginTop:'4px'});
+        const addAction = (text, fn) => {
+          const b = document.createElement('button');
+          b.textContent = text;
+          b.addEventListener('click', fn);
+          actions.appendChild(b);
+        };
+        if (c.id !== this.conversationId) {
+          addAction('切换', async () => { await this.switchConversation(c.id); close(); });
+        }
+        addAction('重命名', async () => {
+          const title = prompt('会话名称：', c.title);
+          if (!title || !title.trim()) return;
+          await this.renameConversation(c.id, title.trim());
+          render();
+        });
+        addAction('导出', () => { close(); this.showExportDialog(c.id); });
+        addAction('删除', async () => {
+          if (!confirm(`确定删除会话「${c.title}」？该会话的消息与记忆将被清除，且无法恢复。`)) return;
+          await this.deleteConversation(c.id);
+          render();
+        });
+        row.appendChild(label);
+        row.appendChild(actions);
+        box.appendChild(row);
+      }
+    };
+
+    render();
+    document.body.appendChild(modal);
   },
 
   renderAllMessages() {
     if (!this.chatMessagesEl) return;
     this.chatMessagesEl.innerHTML = '';
+    this._archiveShownFrom = null;
     // 标记内部重渲染，避免包装后的 addMessageFn 误将历史消息再次写入 messages
     this._isRendering = true;
     try {
       for (const m of this.messages) {
-        if (this.addMessageFn) this.addMessageFn(m.text, m.role === 'user' ? 'me' : 'boyfriend', m.role !== 'user');
+        if (!this.addMessageFn) continue;
+        // 气泡的 id、时间、中断/编辑标记与发送状态由 addMessageFn 按消息对象渲染
+        const el = this.addMessageFn(m);
+        if (el && m.status === 'failed') this._renderDeliveryStatus(m);
       }
     } finally {
       this._isRendering = false;
     }
+    this._markPinnedBubbles();
+    this._markLastSent();
   },
 
   async importChatFromFile(file) {
-    const text = await file.text();
-    const parts = text.split('\n----CHAT-JSON----\n');
+    let text = await file.text();
+    if (text.startsWith('{"encrypted":true') && text.includes(ENCRYPTED_SEPARATOR)) {
+      text = await this._openExportText(text);
+      if (text === null) return null;
+    }
+    const parts = text.split(EXPORT_SEPARATOR);
     let meta = {};
     let chats = [];
+    const memoryChunks = [];
+    let archived = []; // 被压缩为记忆块的早期原始消息，导入后写入归档
+    let media = [];
     try {
-      if (parts.length === 2) {
+      // 第三方导出（微信/QQ/Telegram）：先让用户把说话人映射为“我/对方”，再走下面相同的压缩流程
+      const adapter = parts.length === 2 ? null : detectAdapter(text, file.name);
+      if (adapter) {
+        let parsed;
+        try {
+          parsed = adapter.parse(text, file.name);
+        } catch (e) {
+          alert(`无法解析${adapter.name}文件：${e.message}`);
+          return null;
+        }
+        if (!parsed.messages.length) {
+          alert(`${adapter.name}文件中没有可导入的消息`);
+          return null;
+        }
+        const mapping = await this._showSpeakerMappingDialog(adapter, parsed);
+        if (!mapping) return null;
+        chats = parsed.messages
+          .filter(m => mapping[m.speaker])
+          .map(m => ({ role: mapping[m.speaker], text: m.text, ts: m.ts }));
+        meta = { title: parsed.title, source: adapter.id };
+        if (!chats.length) {
+          alert('没有选择任何要导入的说话人');
+          return null;
+        }
+      } else if (parts.length === 2) {
         meta = JSON.parse(parts[0]);
+        // v2 备份带有导出时的记忆块与记忆层，原样恢复，不再重新压缩
+        if (meta.version >= 2) return await this._readExportV2(meta, parts[1]);
         chats = JSON.parse(parts[1]);
       } else {
         // try parse whole
         chats = JSON.parse(text);
       }
 
+      // 补齐消息 id，记忆块据此记录来源消息；内嵌的图片先取出
+      media = inlineMedia(chats);
+      chats = chats.map(normalizeMessage);
       // 如果导入的消息超过 recentN，使用本地压缩（不调用API，节省token）
       if (chats.length > this.recentN) {
         const progress = document.createElement('div');
@@ -364,11 +846,11 @@ const ChatManager = {
             updateProgress(`正在本地压缩第 ${i+1}-${Math.min(i+batchSize, olderMessages.length)} 条消息，共 ${olderMessages.length} 条`);
             
             // 本地压缩逻辑：提取关键信息，不调用API
-            const summary = this._createLocalSummary(batch, i);
             batches.push({ 
               id: 'mc_local_' + Date.now() + '_' + i, 
-              summary, 
-              createdAt: Date.now(),
+              ...this._createLocalSummary(batch, i),
+              createdAt: batch[batch.length - 1].ts || Date.now(), // 保留原始时间，便于按时间检索与导出
+              sourceIds: batch.map(m => m.id),
               isLocalCompressed: true // 标记为本地压缩
             });
             
@@ -376,7 +858,8 @@ const ChatManager = {
           }
 
           // 更新状态
-          this.memoryChunks.push(...batches);
+          memoryChunks.push(...batches);
+          archived = olderMessages;
           chats = recentMessages; // 只保留最近的消息
           updateProgress(`完成！已保留最近 ${this.recentN} 条消息，${batches.length} 个历史摘要（本地压缩）。`);
           
@@ -397,19 +880,133 @@ const ChatManager = {
         }
       }
     } catch (e) {
-      alert('无法解析文件，确保是由本系统或兼容格式导出的 .txt');
+      alert('无法解析文件。支持本系统导出的 .txt，以及微信（WeChatMsg CSV）、QQ（消息管理器 txt）、Telegram（result.json）的聊天记录');
       console.error(e);
       return null;
     }
-    return { meta, chats };
+    return { meta, chats, memoryChunks, archived, media };
+  },
+
+  // 校验并读取 v2 备份正文。返回 {meta, chats, memoryChunks, layers, facts, media, voiceClips, settings, report}；
+  // report.restored / report.skipped 列出恢复与跳过的内容。用户放弃导入时返回 null
+  async _readExportV2(meta, body) {
+    if (meta.version > EXPORT_VERSION) {
+      alert(`该文件由更新的版本导出（v${meta.version}），当前只支持到 v${EXPORT_VERSION}，请升级后再导入`);
+      return null;
+    }
+    const report = { restored: [], skipped: [] };
+    if (!meta.checksum) {
+      report.skipped.push('校验（文件没有校验和）');
+    } else if (meta.checksum !== 'sha256:' + await sha256Hex(body)) {
+      if (!confirm('文件校验失败：内容可能已损坏或被修改。仍要尝试导入吗？')) return null;
+      report.skipped.push('校验（校验和不匹配，已按用户确认继续导入）');
+    }
+
+    const data = JSON.parse(body);
+    if (!data || !Array.isArray(data.messages)) throw new Error('v2 备份缺少 messages');
+
+    const chats = data.messages.filter(m => m && typeof m.text === 'string');
+    report.restored.push(`消息 ${chats.length} 条`);
+    if (chats.length < data.messages.length) report.skipped.push(`无效消息 ${data.messages.length - chats.length} 条`);
+
+    const rawChunks = Array.isArray(data.memoryChunks) ? data.memoryChunks : [];
+    const memoryChunks = rawChunks
+      .filter(mc => mc && typeof mc.summary === 'string')
+      .map((mc, i) => ({ ...mc, id: mc.id || 'mc_' + Date.now() + '_' + i, createdAt: mc.createdAt || Date.now() }));
+    report.restored.push(`记忆块 ${memoryChunks.length} 个`);
+    if (memoryChunks.length < rawChunks.length) report.skipped.push(`无效记忆块 ${rawChunks.length - memoryChunks.length} 个`);
+
+    let layers = null;
+    const rawLayers = data.memory && data.memory.layers;
+    if (rawLayers && typeof rawLayers === 'object') {
+      layers = {};
+      let count = 0;
+      for (const name of LAYER_NAMES) {
+        layers[name] = (Array.isArray(rawLayers[name]) ? rawLayers[name] : []).filter(m => m && typeof m === 'object');
+        count += layers[name].length;
+      }
+      report.restored.push(`分层记忆 ${count} 条`);
+    } else {
+      report.skipped.push('分层记忆（文件中没有）');
+    }
+
+    let facts = null;
+    if (Array.isArray(data.facts)) {
+      facts = new FactStore(data.facts).toJSON();
+      report.restored.push(`用户资料 ${facts.length} 条`);
+      if (facts.length < data.facts.length) report.skipped.push(`无效资料 ${data.facts.length - facts.length} 条`);
+    }
+
+    const media = (Array.isArray(data.media) ? data.media : []).filter(x => x && x.id && typeof x.dataUrl === 'string');
+    if (media.length) report.restored.push(`图片、表情与语音 ${media.length} 个`);
+    const missing = chats.filter(m => m.media && !media.some(x => x.id === m.media.id)).length;
+    if (missing) report.skipped.push(`媒体文件（文件中缺少 ${missing} 个，显示为已丢失）`);
+    const voiceClips = (Array.isArray(data.voiceClips) ? data.voiceClips : []).filter(x => x && x.messageId && typeof x.dataUrl === 'string');
+    if (voiceClips.length) report.restored.push(`语音缓存 ${voiceClips.length} 段`);
+
+    const settings = data.settings && typeof data.settings === 'object' ? data.settings : {};
+    return { meta, chats, memoryChunks, layers, facts, media, voiceClips, settings, report };
+  },
+
+  // 说话人映射对话框：每个说话人选择“我 / 对方 / 忽略”。确认时返回 {speakerKey: 'user'|'assistant'}，取消返回 null
+  _showSpeakerMappingDialog(adapter, parsed) {
+    return new Promise((resolve) => {
+      const modal = document.createElement('div');
+      Object.assign(modal.style, {
+        position: 'fixed', zIndex: 2100, left:0,top:0,right:0,bottom:0,display:'flex',alignItems:'center',justifyContent:'center',background:'rgba(0,0,0,0.5)'
+      });
+      const box = document.createElement('div');
+      Object.assign(box.style, {background:'#fff',padding:'18px',borderRadius:'8px',width:'90%',maxWidth:'440px',maxHeight:'80vh',overflowY:'auto',fontSize:'14px'});
+      modal.appendChild(box);
+      const first = parsed.messages[0].ts;
+      const last = parsed.messages[parsed.messages.length - 1].ts;
+      box.innerHTML = `<h3 style="margin-top:0">导入${adapter.name}</h3>
+        <div style="color:#666;margin-bottom:10px;">共 ${parsed.messages.length} 条消息（${new Date(first).toLocaleString()} — ${new Date(last).toLocaleString()}）。请指定每个说话人在本应用中的身份：</div>`;
+
+      const selects = {};
+      for (const sp of parsed.speakers) {
+        const row = document.createElement('div');
+        Object.assign(row.style, {display:'flex',alignItems:'center',justifyContent:'space-between',gap:'8px',padding:'6px 0',borderTop:'1px solid #eee'});
+        const label = document.createElement('span');
+        label.textContent = `${sp.label}（${sp.count}条）`;
+        const select = document.createElement('select');
+        select.innerHTML = '<option value="user">我</option><option value="assistant">对方（男友）</option><option value="">忽略</option>';
+        select.value = sp.suggestedRole || '';
+        selects[sp.key] = select;
+        row.appendChild(label);
+        row.appendChild(select);
+        box.appendChild(row);
+      }
+
+      const actions = document.createElement('div');
+      Object.assign(actions.style, {display:'flex',gap:'8px',justifyContent:'flex-end',marginTop:'12px'});
+      const done = (result) => {
+        if (modal.parentNode) document.body.removeChild(modal);
+        resolve(result);
+      };
+      const cancelBtn = document.createElement('button');
+      cancelBtn.textContent = '取消';
+      cancelBtn.addEventListener('click', () => done(null));
+      const okBtn = document.createElement('button');
+      okBtn.textContent = '导入';
+      okBtn.addEventListener('click', () => {
+        const mapping = {};
+        for (const [key, select] of Object.entries(selects)) {
+          if (select.value) mapping[key] = select.value;
+        }
+        done(mapping);
+      });
+      actions.appendChild(cancelBtn);
+      actions.appendChild(okBtn);
+      box.appendChild(actions);
+      document.body.appendChild(modal);
+    });
   },
 
-  async exportCurrentSession() {
-    const filename = `chat-${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}.txt`;
-    const data = this.messages.map(m => ({ role: m.role === 'user' ? 'user' : 'assistant', text: m.text, ts: m.ts }));
-    const header = JSON.stringify({ version:1, exportedAt: new Date().toISOString(), length: data.length });
-    const content = JSON.stringify(data, null, 2);
-    const text = header + '\n----CHAT-JSON----\n' + content;
+  async exportCurrentSession(options = {}) {
+    const meta = this._conversationMeta(this.conversationId);
+    const filename = this._exportFilename('chat', meta);
+    const text = await this._buildExportText(this.messages, meta, options);
 
     // Prefer File System Access API if available and have handle or user agrees to choose
     if ('showSaveFilePicker' in window) {
@@ -418,8 +1015,8 @@ const ChatManager = {
           const opts = { suggestedName: filename, types: [{ description: 'Text', accept: {'text/plain':['.txt'] } }] };
           const handle = await window.showSaveFilePicker(opts);
           this.savedFileHandle = handle;
-          // store in IndexedDB (structured clone of handle works in Chromium)
-          try { await idbPut(HANDLE_STORE, 'savedFileHandle', handle); } catch(e){console.warn('store handle failed', e);}        
+          // store in IndexedDB (structured clone of handle works in Chromium)；每个会话各自保存一个文件句柄
+          try { await idbPut(HANDLE_STORE, handleKey(this.conversationId), handle); } catch(e){console.warn('store handle failed', e);}        
         }
         await this.writeToSavedFile(text);
         alert('会话已保存（覆盖保存）：' + (this.savedFileHandle.name || filename));
@@ -431,11 +1028,20 @@ const ChatManager = {
     }
 
     // fallback: download blob
-    const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+    this._downloadText(text, filename);
+    alert('会话已下载到默认下载目录：' + filename);
+  },
+
+  _exportFilename(prefix, meta, ext = 'txt') {
+    const title = meta && meta.title ? '-' + meta.title.replace(/[\\/:*?"<>|\s]+/g, '_') : '';
+    return `${prefix}${title}-${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}.${ext}`;
+  },
+
+  _downloadText(text, filename, type = 'text/plain;charset=utf-8') {
+    const blob = new Blob([text], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
-    alert('会话已下载到默认下载目录：' + filename);
   },
 
   async writeToSavedFile(content) {
@@ -447,17 +1053,11 @@ const ChatManager = {
 
   async triggerImport() {
     const input = document.createElement('input');
-    input.type = 'file'; input.accept = '.txt,.json,text/plain';
+    input.type = 'file'; input.accept = '.txt,.json,.csv,text/plain';
     input.onchange = async (e) => {
       const f = e.target.files && e.target.files[0];
       if (!f) return;
-      const imported = await this.importChatFromFile(f);
-      if (imported) {
-        this.messages = imported.chats.map(c => ({ role: c.role === 'assistant' || c.role === 'boyfriend' ? 'assistant' : 'user', text: c.text, ts: c.ts || Date.now() }));
-        this.renderAllMessages();
-        await this.summarizeOlderHistoryIfAny();
-        alert('导入并恢复完成');
-      }
+      await this.importIntoNewConversation(f);
     };
     input.click();
   },
@@ -466,51 +1066,71 @@ const ChatManager = {
   _createLocalSummary(messages, batchIndex) {
     const startIdx = batchIndex + 1;
     const endIdx = batchIndex + messages.length;
-    
-    // 提取关键信息
-    const userMessages = messages.filter(m => m.role === 'user').map(m => m.text);
-    const assistantMessages = messages.filter(m => (m.role === 'assistant' || m.role === 'boyfriend')).map(m => m.text);
-    
-    // 提取关键词（去重）
-    const extractKeywords = (texts) => {
-      const allText = texts.join(' ');
-      const zhWords = (allText.match(/[\u4e00-\u9fa5]{2,}/g) || []);
-      const enWords = (allText.match(/\b[A-Za-z]{3,}\b/g) || []);
-      return [...new Set([...zhWords, ...enWords])].slice(0, 20); // 最多20个关键词
-    };
-    
-    const keywords = extractKeywords([...userMessages, ...assistantMessages]);
-    
-    // 构建摘要
-    let summary = `[历史对话 ${startIdx}-${endIdx}]\n`;
-    summary += `消息数：${messages.length}条\n`;
-    summary += `关键词：${keywords.join('、')}\n`;
-    summary += `\n对话片段：\n`;
-    
-    // 保留前3条和后3条消息作为上下文
-    const sampleMessages = [
-      ...messages.slice(0, 3),
-      ...messages.slice(-3)
-    ];
-    
-    summary += sampleMessages.map(m => {
-      const role = m.role === 'user' ? '我' : '男友';
-      const text = m.text.length > 50 ? m.text.slice(0, 50) + '...' : m.text;
-      return `${role}: ${text}`;
-    }).join('\n');
-    
-    return summary;
+    // 抽取式摘要（TextRank），与 /api/summarize 使用同一实现
+    return this._chunkSummary(`[历史对话 ${startIdx}-${endIdx}]`, messages);
   },
 
-  async backupToIndexedDB() {
-    try {
-      const snap = { messages: this.messages, memoryChunks: this.memoryChunks, ts: Date.now() };
-      // 先写本地缓存（同步，抗刷新）
-      try { localStorage.setItem(this._localCacheKey, JSON.stringify(snap)); } catch(_) {}
-      await idbPut(BACKUP_STORE, 'latest_session', snap);
+  // 记忆块摘要 {summary, lineSources}：标题行加抽取式摘要，lineSources 记录每行的来源消息（标题行为 null）
+  _chunkSummary(header, messages) {
+    const { summary, lineSources } = summarizeWithSources(messages, { targetTokens: MEMORY_CONFIG.summarization.maxTokens });
+    return { summary: header + '\n' + summary, ...(lineSources ? { lineSources: [null, ...lineSources] } : {}) };
+  },
+
+  // 保存当前会话。多个标签页时只有写入者写入快照，其他标签页把内容交给写入者（见 _sendStateToWriter）；
+  // 依次执行，避免两次保存读到同一个版本号。options.ack：这次写入保存的是其他标签页交来的内容 {tabId, stateId}
+  backupToIndexedDB(options = {}) {
+    this._backupChain = (this._backupChain || Promise.resolve())
+      .then(() => this._backupOnce(options))
+      .catch(e => console.warn('backup failed', e));
+    return this._backupChain;
+  },
+
+  async _backupOnce({ ack = null } = {}) {
+    // 尚未选择会话（启动弹窗未关闭）时不写入，避免空状态覆盖已有快照
+    if (!this.conversationId) return;
+    // 本页内容已过期：不写入，等待用户载入最新内容
+    if (this._stale) return;
+    const id = this.conversationId;
+    const body = this._stateBody();
+    if (!this.tabSync.isLeader) {
+      if (body !== this._syncedBody) this._sendStateToWriter(body);
+      return;
+    }
+    if (body !== this._syncedBody) {
+      // 写入前确认没有更新的版本（例如本页刚接任写入者，而原写入者已保存过其他标签页的内容）
+      if (await this._storedRev(id) > this._rev) {
+        this._setStale(true);
+        return;
+      }
+      const snap = {
+        conversationId: id,
+        messages: this.messages,
+        memoryChunks: this.memoryChunks,
+        facts: this.factStore ? this.factStore.toJSON() : [],
+        ts: Date.now(),
+        rev: this._rev + 1
+      };
+      // 口令模式下快照加密后再写入；先写本地缓存（抗刷新）
+      const sealed = await this._sealSnapshot(snap);
+      try { localStorage.setItem(this._localCacheKey, JSON.stringify(sealed)); } catch(_) {}
+      await idbPut(BACKUP_STORE, convKey(id), sealed);
+      this._rev = snap.rev;
+      this._syncedBody = body;
+      this.tabSync.post('snapshot', { conversationId: id, rev: snap.rev, ack });
+      const meta = this._conversationMeta(id);
+      if (meta) {
+        meta.updatedAt = snap.ts;
+        meta.messageCount = this.messages.length;
+        await this._saveConversationIndex();
+      }
       this._lastBackupTs = snap.ts;
-      this._log('[backup] saved snapshot:', {len: this.messages.length, chunks: this.memoryChunks.length, ts: snap.ts});
-    } catch (e) { console.warn('backup failed', e); }
+      this._log('[backup] saved snapshot:', {conversation: id, rev: snap.rev, len: this.messages.length, chunks: this.memoryChunks.length, ts: snap.ts});
+    }
+    // 索引有变更时一并保存，下次加载直接复用
+    if (this._indexDirty && this.searchIndex) {
+      this._indexDirty = false;
+      await idbPut(BACKUP_STORE, indexKey(id), await this._sealIndex(this.searchIndex.toJSON()));
+    }
   },
 
   // 变更后延迟保存：合并短时间内的多次变更，避免频繁写入
@@ -522,102 +1142,1286 @@ const ChatManager = {
     }, delay);
   },
 
-  downloadBackup() {
-    const filename = `chat-backup-${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}.txt`;
-    const data = this.messages.map(m => ({ role: m.role === 'user' ? 'user' : 'assistant', text: m.text, ts: m.ts }));
-    const header = JSON.stringify({ version:1, exportedAt: new Date().toISOString(), length: data.length });
-    const content = JSON.stringify(data, null, 2);
-    const text = header + '\n----CHAT-JSON----\n' + content;
-    const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+  // ---------------- 多标签页同步 ----------------
+  _createTabSync() {
+    return new TabSync({
+      onMessage: (msg) => {
+        // 按收到的顺序逐条处理（如先读入新的会话列表，再保存该会话的快照）
+        this._tabChain = (this._tabChain || Promise.resolve())
+          .then(() => this._onTabMessage(msg))
+          .catch(e => console.warn('tab sync failed', e));
+      },
+      onLeaderChange: (isLeader) => {
+        this._log('[tabs] writer:', isLeader);
+        if (this.outbox) this.outbox.schedule();
+        if (isLeader) {
+          this._becomeWriter().catch(e => console.warn('become writer failed', e));
+        } else {
+          this._startCompaction();
+          this._startProactive();
+        }
+      }
+    });
   },
 
-  ensureSaveSchedule() {
-    if (this.autosave) {
-      // force a save every minute
-      if (this._autosaveInterval) clearInterval(this._autosaveInterval);
-      this._autosaveInterval = setInterval(() => {
-        if (this.savedFileHandle) this.writeToSavedFile(this._buildExportText()); else this.downloadBackup();
-      }, 60_000);
-    } else {
-      if (this._autosaveInterval) clearInterval(this._autosaveInterval);
-      this._autosaveInterval = null;
-    }
+  // 需要同步的会话内容（对应快照中的 messages / memoryChunks / facts）
+  _stateBody() {
+    return JSON.stringify({ messages: this.messages, memoryChunks: this.memoryChunks, facts: this.factStore ? this.factStore.toJSON() : [] });
   },
 
-  _buildExportText() {
-    const filename = `chat-${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}.txt`;
-    const data = this.messages.map(m => ({ role: m.role === 'user' ? 'user' : 'assistant', text: m.text, ts: m.ts }));
-    const header = JSON.stringify({ version:1, exportedAt: new Date().toISOString(), length: data.length });
-    const content = JSON.stringify(data, null, 2);
-    return header + '\n----CHAT-JSON----\n' + content;
+  async _storedRev(id) {
+    const stored = await idbGet(BACKUP_STORE, convKey(id));
+    return (stored && stored.rev) || 0;
   },
 
-  // 初始化调试面板
-  _initDebugPanel() {
-    // 确保调试面板元素存在
-    const panel = document.getElementById('debug-panel');
-    const toggle = document.getElementById('debug-toggle');
-    if (!panel || !toggle) {
-      console.warn('调试面板元素未找到');
+  // 非写入者：把本页的内容交给写入者保存。等待确认期间不再发送（确认后再发之后的更改），超时未确认时重发
+  _sendStateToWriter(body) {
+    const pending = this._pendingState;
+    if (pending && Date.now() - pending.at < STATE_RESEND_DELAY) return;
+    this._pendingState = { id: newMessageId(), body, at: Date.now() };
+    this.tabSync.post('state', { conversationId: this.conversationId, baseRev: this._rev, stateId: this._pendingState.id, state: JSON.parse(body) });
+  },
+
+  async _onTabMessage(msg) {
+    switch (msg.type) {
+      case 'state':
+        if (this.tabSync.isLeader) await this._acceptState(msg);
+        break;
+      case 'snapshot':
+        await this._onRemoteSnapshot(msg);
+        break;
+      case 'rejected':
+        if (msg.conversationId !== this.conversationId) break;
+        this._pendingState = null;
+        this._setStale(true);
+        break;
+      case 'conversations': {
+        const list = await idbGet(BACKUP_STORE, CONVERSATIONS_KEY);
+        if (Array.isArray(list)) this.conversations = list;
+        this._updateConversationTitle();
+        break;
+      }
+    }
+  },
+
+  // 写入者：保存其他标签页交来的内容。对方基于的不是最新版本、或本页也有未保存的更改时拒绝，由对方提示载入最新内容
+  async _acceptState(msg) {
+    const id = msg.conversationId;
+    const ack = { tabId: msg.from, stateId: msg.stateId };
+    const reject = () => this.tabSync.post('rejected', { conversationId: id }, msg.from);
+    if (id === this.conversationId) {
+      const isReplying = this.initOptions.isReplying;
+      const busy = typeof isReplying === 'function' && isReplying();
+      if (this._stale || busy || msg.baseRev !== this._rev || this._stateBody() !== this._syncedBody) return reject();
+      await this._applyRemoteState(msg.state);
+      this._syncedBody = null; // 装载后内容与 _syncedBody 相同，强制写入
+      await this.backupToIndexedDB({ ack });
       return;
     }
+    const meta = this._conversationMeta(id);
+    if (!meta || await this._storedRev(id) !== msg.baseRev) return reject();
+    const snap = { ...msg.state, conversationId: id, ts: Date.now(), rev: msg.baseRev + 1 };
+    await idbPut(BACKUP_STORE, convKey(id), await this._sealSnapshot(snap));
+    this.tabSync.post('snapshot', { conversationId: id, rev: snap.rev, ack });
+    meta.updatedAt = snap.ts;
+    meta.messageCount = snap.messages.length;
+    await this._saveConversationIndex();
+  },
 
-    // 设置自动更新（每秒）
-    setInterval(() => this._updateDebugPanel(), 1000);
-    
-    // 初次更新
-    this._updateDebugPanel();
+  // 写入者保存了新版本：确认本页交出的内容，或载入最新内容；本页有未保存的更改时提示已过期
+  async _onRemoteSnapshot(msg) {
+    if (msg.conversationId !== this.conversationId || msg.rev <= this._rev) return;
+    const pending = this._pendingState;
+    if (pending && msg.ack && msg.ack.tabId === this.tabSync.tabId && msg.ack.stateId === pending.id) {
+      this._rev = msg.rev;
+      this._syncedBody = pending.body;
+      this._pendingState = null;
+      // 等待确认期间的新更改
+      if (this._stateBody() !== this._syncedBody) this._scheduleBackupSoon();
+      return;
+    }
+    if (this._stale) return;
+    const isReplying = this.initOptions.isReplying;
+    const body = this._stateBody();
+    if (body !== this._syncedBody || (typeof isReplying === 'function' && isReplying())) {
+      this._setStale(true);
+      return;
+    }
+    const id = this.conversationId;
+    const snap = await this._loadConversationSnapshot(id);
+    if (id !== this.conversationId || !snap || (snap.rev || 0) <= this._rev) return;
+    // 读取期间本页又有了更改
+    if (this._stateBody() !== body) {
+      this._setStale(true);
+      return;
+    }
+    await this._applyRemoteState(snap);
+    this._rev = snap.rev;
+    this._syncedBody = this._stateBody();
   },
 
-  // 更新调试面板信息
-  _updateDebugPanel() {
+  // 把其他标签页的内容装入当前会话（消息、记忆块、资料与分层记忆），不切换会话：调度器与朗读照常运行。
+  // 只是在末尾追加了消息（或更新了发送状态）时只渲染变化的气泡，否则整体重新渲染
+  async _applyRemoteState(state) {
+    const prev = this.messages;
+    const next = ((state && state.messages) || []).map(normalizeMessage);
+    this.messages = next;
+    this.memoryChunks = Array.isArray(state && state.memoryChunks) ? state.memoryChunks : [];
+    this.factStore = new FactStore(state && state.facts);
+    // 分层记忆由各标签页直接写入 memories 存储区，重新读入即可
     try {
-      // DOM 元素
-      const activeEl = document.getElementById('debug-active-messages');
-      const memoryEl = document.getElementById('debug-memory-chunks');
-      const tokensEl = document.getElementById('debug-tokens');
-      const usedChunksEl = document.getElementById('debug-used-chunks');
-
-      // 消息与记忆块数量
-      if (activeEl) activeEl.textContent = this.messages?.length || 0;
-      if (memoryEl) memoryEl.textContent = this.memoryChunks?.length || 0;
-
-      // 最近一次发送给后端的负载，估算 tokens 与使用的记忆块数量
-      if (this._lastPayload) {
-        const tokenEstimate = Math.ceil(JSON.stringify(this._lastPayload).length / 4);
-        if (tokensEl) tokensEl.textContent = tokenEstimate;
-        if (usedChunksEl) usedChunksEl.textContent = (this._lastPayload.memory_chunks || []).length;
-      }
-
-      // 切换按钮在面板显示时隐藏，面板隐藏时显示
-      const toggle = document.getElementById('debug-toggle');
-      const panel = document.getElementById('debug-panel');
-      if (toggle && panel) toggle.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+      const layers = await loadMemoryLayers(this.conversationId, this.vaultKey);
+      if (layers) this.memorySystem.loadLayers(layers);
     } catch (e) {
-      // 安全兜底，避免调试面板影响主流程
-      // console.warn('update debug panel failed', e);
+      console.warn('load memories failed', e);
+    }
+    this._syncSearchIndex();
+
+    const statusOnly = [];
+    const incremental = prev.length <= next.length && prev.every((m, i) => {
+      const n = next[i];
+      if (m.id !== n.id) return false;
+      if (JSON.stringify(m) === JSON.stringify(n)) return true;
+      if (JSON.stringify({ ...m, status: n.status }) !== JSON.stringify(n)) return false;
+      statusOnly.push(n);
+      return true;
+    });
+    if (!incremental || !this.addMessageFn) {
+      this.renderAllMessages();
+    } else {
+      for (const m of statusOnly) this._renderDeliveryStatus(m);
+      this._isRendering = true;
+      try {
+        for (const m of next.slice(prev.length)) {
+          const el = this.addMessageFn(m);
+          if (el && m.status === 'failed') this._renderDeliveryStatus(m);
+        }
+      } finally {
+        this._isRendering = false;
+      }
+      this._markPinnedBubbles();
+      this._markLastSent();
     }
+    this._updateDebugPanel();
   },
 
-  async maybeSummarizeByTime() {
-    const now = Date.now();
-    // 条件1：消息数量超过阈值
-    const shouldSummarizeByCount = this.messagesSinceLastSummarize >= this.summarizeThreshold;
-    // 条件2：距离上次总结超过3分钟且有新消息
-    const shouldSummarizeByTime = this.messagesSinceLastSummarize > 0 && 
-      (now - this.lastSummarizeTime) > 180_000;
-
-    if (shouldSummarizeByCount || shouldSummarizeByTime) {
-      await this.summarizeOlderHistoryIfAny();
-      this.messagesSinceLastSummarize = 0;
-      this.lastSummarizeTime = now;
+  // 本页接任写入者：原写入者可能已保存过更新的版本；没有冲突时保存尚未交出的更改，并接手定时压缩
+  async _becomeWriter() {
+    this._pendingState = null;
+    if (!this.conversationId) return;
+    if (!this._stale && await this._storedRev(this.conversationId) > this._rev) {
+      if (this._stateBody() === this._syncedBody) return this.reloadLatest(); // 载入时会启动定时压缩
+      this._setStale(true);
     }
+    if (!this._stale) await this.backupToIndexedDB();
+    await this._startCompaction();
+    this._startProactive();
   },
 
-  async summarizeOlderHistoryIfAny() {
+  // 定时压缩只在写入者中运行：多个标签页各自压缩同一份记忆会重复合并；本页内容已过期时也不运行
+  async _startCompaction() {
+    if (!this.conversationId || !this.tabSync.isLeader || this._stale) {
+      this.compactionScheduler.stop();
+      return;
+    }
+    try {
+      await this.compactionScheduler.start(this.conversationId);
+    } catch (e) {
+      console.warn('start compaction scheduler failed', e);
+    }
+  },
+
+  // 主动消息同样只在写入者中发送：每个标签页各有一份发送状态，都运行时同一条问候会发送多次；本页内容已过期时也不发送
+  async _startProactive() {
+    if (!this.conversationId || !this.tabSync.isLeader || this._stale) {
+      this.proactiveScheduler.stop();
+      return;
+    }
+    try {
+      await this.proactiveScheduler.start(this.conversationId);
+    } catch (e) {
+      console.warn('start proactive scheduler failed', e);
+    }
+  },
+
+  _setStale(stale) {
+    this._stale = stale;
+    if (stale && this.proactiveScheduler) this.proactiveScheduler.stop();
+    const banner = document.getElementById('stale-banner');
+    if (banner) banner.hidden = !stale;
+  },
+
+  // 重新载入当前会话的最新快照（过期提示中的“载入最新内容”），本页未保存的更改会被丢弃
+  async reloadLatest() {
+    const id = this.conversationId;
+    if (!id) return;
+    const snap = await this._loadConversationSnapshot(id);
+    await this._activateConversation(id, snap);
+  },
+
+  async downloadBackup() {
+    const meta = this._conversationMeta(this.conversationId);
+    this._downloadText(await this._buildExportText(this.messages, meta), this._exportFilename('chat-backup', meta));
+  },
+
+  ensureSaveSchedule() {
+    if (this.autosave) {
+      // force a save every minute
+      if (this._autosaveInterval) clearInterval(this._autosaveInterval);
+      this._autosaveInterval = setInterval(() => {
+        if (this.savedFileHandle) this._buildExportText().then(text => this.writeToSavedFile(text)); else this.downloadBackup();
+      }, 60_000);
+    } else {
+      if (this._autosaveInterval) clearInterval(this._autosaveInterval);
+      this._autosaveInterval = null;
+    }
+  },
+
+  // 生成 v2 备份文本。默认导出当前会话；导出其他会话或部分消息时通过 extra 传入对应的记忆块与记忆层；
+  // extra.voiceClips 为 true 时附带这些消息缓存的“转语音”音频
+  async _buildExportText(messages = this.messages, meta = this._conversationMeta(this.conversationId), extra = {}) {
+    const {
+      memoryChunks = this.memoryChunks,
+      layers = this.memorySystem ? this.memorySystem.exportMemories().layers : null,
+      facts = this.factStore ? this.factStore.toJSON() : [],
+      voiceClips: withVoiceClips = false
+    } = extra;
+    const data = messages.map(m => ({ id: m.id, role: m.role === 'user' ? 'user' : 'assistant', text: m.text, ts: m.ts, ...(m.partial ? { partial: true } : {}), ...(m.editedAt ? { editedAt: m.editedAt } : {}), ...(m.media ? { media: m.media } : {}) }));
+    // 消息引用的图片与表情以 data URL 写入正文，导入到其他设备后仍可显示
+    let media = [];
+    try { media = await exportMedia(data.filter(m => m.media).map(m => m.media.id)); } catch (e) { console.warn('export media failed', e); }
+    let voiceClips = [];
+    if (withVoiceClips && this.ttsCache) {
+      try { voiceClips = await this.ttsCache.exportClips(data); } catch (e) { console.warn('export voice clips failed', e); }
+    }
+    const exportSettings = this.initOptions.exportSettings;
+    const settings = {
+      recentN: this.recentN,
+      ...(typeof exportSettings === 'function' ? exportSettings(meta && meta.personaId) : {})
+    };
+    const content = JSON.stringify({ messages: data, memoryChunks, memory: { layers }, facts, media, ...(voiceClips.length ? { voiceClips } : {}), settings }, null, 2);
+    const header = JSON.stringify({
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      length: data.length,
+      ...(meta ? { title: meta.title } : {}),
+      contents: {
+        messages: data.length,
+        memoryChunks: memoryChunks.length,
+        memories: layers ? LAYER_NAMES.reduce((n, name) => n + (layers[name] || []).length, 0) : 0,
+        facts: facts.length,
+        media: media.length,
+        ...(voiceClips.length ? { voiceClips: voiceClips.length } : {})
+      },
+      checksum: 'sha256:' + await sha256Hex(content)
+    });
+    return this._sealExportText(header + EXPORT_SEPARATOR + content);
+  },
+
+  // ---------------- 阅读导出（Markdown / HTML） ----------------
+
+  // 导出对话框：选择格式（可恢复的备份 / Markdown / HTML）与范围（全部 / 日期范围 / 选中的消息）
+  // preset: { format, range, ids }，从选择模式返回时带上选中的消息 id
+  async showExportDialog(id = this.conversationId, preset = {}) {
+    const meta = this._conversationMeta(id);
+    const isCurrent = id === this.conversationId;
+    const messages = isCurrent ? this.messages : (((await this._loadConversationSnapshot(id)) || {}).messages || []).map(normalizeMessage);
+    const ids = preset.ids || [];
+    const toDateInput = (ts) => {
+      const d = new Date(ts);
+      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    };
+    const firstTs = messages.length ? messages[0].ts : Date.now();
+    const lastTs = messages.length ? messages[messages.length - 1].ts : Date.now();
+
+    const modal = document.createElement('div');
+    Object.assign(modal.style, {
+      position: 'fixed', zIndex: 2000, left:0,top:0,right:0,bottom:0,display:'flex',alignItems:'center',justifyContent:'center',background:'rgba(0,0,0,0.5)'
+    });
+    const box = document.createElement('div');
+    Object.assign(box.style, {background:'#fff',padding:'18px',borderRadius:'8px',width:'90%',maxWidth:'420px',fontSize:'14px'});
+    box.innerHTML = `
+      <h3 style="margin-top:0"></h3>
+      <div style="margin-bottom:10px;">
+        <div style="font-weight:bold;margin-bottom:4px;">格式</div>
+        <label style="display:block"><input type="radio" name="export-format" value="backup"> 备份文件（.txt，可重新导入）</label>
+        <label style="display:block"><input type="radio" name="export-format" value="markdown"> Markdown（.md）</label>
+        <label style="display:block"><input type="radio" name="export-format" value="html"> 网页（.html，含头像与壁纸，可离线打开）</label>
+      </div>
+      <div style="margin-bottom:10px;">
+        <div style="font-weight:bold;margin-bottom:4px;">范围</div>
+        <label style="display:block"><input type="radio" name="export-range" value="all"> 全部消息（${messages.length} 条）</label>
+        <label style="display:block"><input type="radio" name="export-range" value="date"> 日期范围：
+          <input type="date" id="export-from" value="${toDateInput(firstTs)}"> 至 <input type="date" id="export-to" value="${toDateInput(lastTs)}"></label>
+        <label style="display:block"><input type="radio" name="export-range" value="selected" ${ids.length ? '' : 'disabled'}> 选中的消息（${ids.length} 条）</label>
+        ${isCurrent ? '<button id="export-select-btn" style="margin-top:4px;">在聊天中选择消息…</button>' : ''}
+      </div>
+      <div style="margin-bottom:10px;">
+        <label style="display:block"><input type="checkbox" id="export-voice-clips"> 附带已缓存的语音（备份与网页格式，文件会变大）</label>
+      </div>
+      <div style="display:flex;gap:8px;justify-content:flex-end;">
+        <button id="export-cancel-btn">取消</button>
+        <button id="export-confirm-btn">导出</button>
+      </div>`;
+    // 会话名称由用户输入，用 textContent 写入，不拼进 innerHTML
+    box.querySelector('h3').textContent = `导出「${meta ? meta.title : '当前会话'}」`;
+    modal.appendChild(box);
+    const close = () => { if (modal.parentNode) document.body.removeChild(modal); };
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+
+    const check = (name, value) => {
+      const el = box.querySelector(`input[name="${name}"][value="${value}"]`);
+      if (el && !el.disabled) el.checked = true;
+    };
+    check('export-format', preset.format || 'backup');
+    check('export-range', 'all');
+    if (preset.range) check('export-range', preset.range);
+    box.querySelector('#export-voice-clips').checked = !!preset.voiceClips;
+
+    box.querySelector('#export-cancel-btn').addEventListener('click', close);
+    const selectBtn = box.querySelector('#export-select-btn');
+    if (selectBtn) {
+      selectBtn.addEventListener('click', () => {
+        const format = box.querySelector('input[name="export-format"]:checked').value;
+        const voiceClips = box.querySelector('#export-voice-clips').checked;
+        close();
+        this.enterSelectionMode((selected) => this.showExportDialog(id, { format, voiceClips, range: 'selected', ids: selected }), ids);
+      });
+    }
+    box.querySelector('#export-confirm-btn').addEventListener('click', async () => {
+      const format = box.querySelector('input[name="export-format"]:checked').value;
+      const range = box.querySelector('input[name="export-range"]:checked').value;
+      const filter = {};
+      if (range === 'date') {
+        const from = box.querySelector('#export-from').value;
+        const to = box.querySelector('#export-to').value;
+        if (from) filter.from = new Date(from + 'T00:00:00').getTime();
+        if (to) filter.to = new Date(to + 'T23:59:59.999').getTime();
+      } else if (range === 'selected') {
+        filter.ids = ids;
+      }
+      const voiceClips = box.querySelector('#export-voice-clips').checked;
+      close();
+      await this.exportMessages(id, format, range === 'all' ? null : filter, messages, { voiceClips });
+    });
+    document.body.appendChild(modal);
+  },
+
+  // 按格式导出会话；filter 为 null 时导出全部（当前会话的完整备份沿用文件句柄覆盖保存）
+  async exportMessages(id, format, filter = null, messages = null, options = {}) {
+    const meta = this._conversationMeta(id);
+    if (format === 'backup' && !filter) return this.exportConversation(id, options);
+    if (!messages) {
+      messages = id === this.conversationId ? this.messages : (((await this._loadConversationSnapshot(id)) || {}).messages || []).map(normalizeMessage);
+    }
+    const selected = filter ? filterMessages(messages, filter) : messages;
+    if (!selected.length) {
+      alert('所选范围内没有消息');
+      return;
+    }
+
+    if (format !== 'backup' && this.vaultKey && !confirm('已启用备份加密，但 Markdown / 网页导出是未加密的可读文件。仍要导出吗？')) return;
+    if (format === 'backup') {
+      // 部分消息的备份不带整段会话的记忆块与记忆层
+      const text = await this._buildExportText(selected, meta, { memoryChunks: [], layers: null, facts: [], voiceClips: options.voiceClips });
+      this._downloadText(text, this._exportFilename('chat', meta));
+      return;
+    }
+    const look = await this._exportAppearance(meta);
+    const opts = { title: meta ? meta.title : '聊天记录', ...look };
+    if (format === 'markdown') {
+      this._downloadText(toMarkdown(selected, opts), this._exportFilename('chat', meta, 'md'), 'text/markdown;charset=utf-8');
+    } else {
+      // 头像与壁纸内嵌为 data URL，生成的 HTML 不依赖外部资源
+      const [userAvatar, assistantAvatar, wallpaper] = await Promise.all([look.userAvatar, look.assistantAvatar, look.wallpaper].map(inlineImage));
+      let media = {};
+      try {
+        media = Object.fromEntries((await exportMedia(selected.filter(m => m.media).map(m => m.media.id))).map(x => [x.id, x.dataUrl]));
+      } catch (e) { console.warn('export media failed', e); }
+      // 每条消息取最近播放过的那段语音
+      const speech = {};
+      if (options.voiceClips && this.ttsCache) {
+        try {
+          const clips = (await this.ttsCache.exportClips(selected)).sort((a, b) => (a.lastUsed || 0) - (b.lastUsed || 0));
+          for (const clip of clips) speech[clip.messageId] = clip.dataUrl;
+        } catch (e) { console.warn('export voice clips failed', e); }
+      }
+      const html = toHTML(selected, { ...opts, userAvatar, assistantAvatar, wallpaper, media, speech });
+      this._downloadText(html, this._exportFilename('chat', meta, 'html'), 'text/html;charset=utf-8');
+    }
+  },
+
+  // 导出时使用的名字、头像与壁纸（由页面通过 initOptions.getAppearance 提供，按会话的人设取）
+  async _exportAppearance(meta) {
+    const get = this.initOptions.getAppearance;
+    const look = typeof get === 'function' ? (await get(meta && meta.personaId)) || {} : {};
+    const persona = this._activePersona();
+    return {
+      userName: look.userName || '我',
+      assistantName: look.assistantName || (persona && persona.name) || '对方',
+      userAvatar: look.userAvatar || null,
+      assistantAvatar: look.assistantAvatar || null,
+      wallpaper: look.wallpaper || null
+    };
+  },
+
+  // 选择模式：点击气泡勾选消息，完成后以选中的 id 调用 onDone
+  enterSelectionMode(onDone, initialIds = []) {
+    if (!this.chatMessagesEl || this._selection) return;
+    const el = this.chatMessagesEl;
+    const selected = new Set(initialIds);
+    const bar = document.createElement('div');
+    Object.assign(bar.style, {
+      position:'fixed',left:'50%',bottom:'70px',transform:'translateX(-50%)',zIndex:1500,background:'#1a1a1a',color:'#fff',
+      padding:'8px 12px',borderRadius:'8px',display:'flex',alignItems:'center',gap:'8px',fontSize:'14px',boxShadow:'0 2px 8px rgba(0,0,0,0.3)'
+    });
+    const count = document.createElement('span');
+    const addButton = (text, fn) => {
+      const b = document.createElement('button');
+      b.textContent = text;
+      b.addEventListener('click', fn);
+      bar.appendChild(b);
+    };
+    const refresh = () => {
+      count.textContent = `已选 ${selected.size} 条`;
+      el.querySelectorAll('.message[data-msg-id]').forEach(div => div.classList.toggle('selected', selected.has(div.dataset.msgId)));
+    };
+    const onClick = (e) => {
+      const div = e.target.closest('.message[data-msg-id]');
+      if (!div) return;
+      // 选择模式下拦截气泡内的按钮（如转语音）
+      e.preventDefault();
+      e.stopPropagation();
+      const msgId = div.dataset.msgId;
+      if (selected.has(msgId)) selected.delete(msgId); else selected.add(msgId);
+      refresh();
+    };
+    const exit = () => {
+      el.removeEventListener('click', onClick, true);
+      el.classList.remove('selecting');
+      el.querySelectorAll('.message.selected').forEach(div => div.classList.remove('selected'));
+      if (bar.parentNode) bar.parentNode.removeChild(bar);
+      this._selection = null;
+    };
+
+    bar.appendChild(count);
+    addButton('全选', () => { this.messages.forEach(m => selected.add(m.id)); refresh(); });
+    addButton('完成', () => {
+      // 按消息顺序返回
+      const ids = this.messages.filter(m => selected.has(m.id)).map(m => m.id);
+      exit();
+      onDone(ids);
+    });
+    addButton('取消', exit);
+    el.classList.add('selecting');
+    el.addEventListener('click', onClick, true);
+    document.body.appendChild(bar);
+    this._selection = { exit };
+    refresh();
+  },
+
+  // ---------------- 归档与历史搜索 ----------------
+  // 归档保存被总结移出活跃区的原始消息 {conversationId, ts, messages}，口令模式下与快照一样加密
+
+  async _loadArchive() {
+    const id = this.conversationId;
+    if (this._archive && this._archive.conversationId === id) return this._archive.messages;
+    let messages = [];
+    try {
+      const stored = await this._openSnapshot(await idbGet(BACKUP_STORE, archiveKey(id)));
+      if (stored && Array.isArray(stored.messages)) messages = stored.messages.map(normalizeMessage);
+    } catch (e) {
+      console.warn('load archive failed', e);
+    }
+    this._archive = { conversationId: id, messages };
+    return messages;
+  },
+
+  async _appendToArchive(messages) {
+    if (!this.conversationId || !messages.length) return;
+    const archive = await this._loadArchive();
+    const known = new Set(archive.map(m => m.id));
+    for (const m of messages.map(normalizeMessage)) if (!known.has(m.id)) archive.push(m);
+    const snap = { conversationId: this.conversationId, ts: Date.now(), messages: archive };
+    await idbPut(BACKUP_STORE, archiveKey(this.conversationId), await this._sealSnapshot(snap));
+  },
+
+  // 搜索当前会话：活跃消息、记忆块与归档的原始消息。查询按空白拆成多个词，全部包含才算命中。
+  // opts: { speaker: 'all'|'user'|'assistant', from, to, sources: {messages, chunks, archive} }
+  // 返回按时间倒序的 [{source: 'message'|'archive'|'chunk', id, role, text, ts}]
+  async searchHistory(query, opts = {}) {
+    const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.length) return [];
+    const { speaker = 'all', from = null, to = null, sources = { messages: true, chunks: true, archive: true } } = opts;
+    const matches = (text) => {
+      const t = String(text || '').toLowerCase();
+      return terms.every(term => t.includes(term));
+    };
+    const inRange = (ts) => (from === null || ts >= from) && (to === null || ts <= to);
+    const results = [];
+    const addMessages = (list, source) => {
+      for (const m of list) {
+        if (speaker !== 'all' && m.role !== speaker) continue;
+        if (inRange(m.ts) && matches(m.text)) results.push({ source, id: m.id, role: m.role, text: m.text, ts: m.ts });
+      }
+    };
+    if (sources.messages) addMessages(this.messages, 'message');
+    if (sources.archive) addMessages(await this._loadArchive(), 'archive');
+    // 记忆块混合了双方的内容，只在不按说话人筛选时参与搜索
+    if (sources.chunks && speaker === 'all') {
+      for (const mc of this.memoryChunks) {
+        if (inRange(mc.createdAt || 0) && matches(mc.summary)) results.push({ source: 'chunk', id: mc.id, text: mc.summary, ts: mc.createdAt || 0 });
+      }
+    }
+    return results.sort((a, b) => b.ts - a.ts);
+  },
+
+  // 滚动到消息并高亮；归档中的消息会先把更早的历史加载到聊天区顶部。找不到时返回 false
+  async jumpToMessage(id) {
+    let el = this._messageEl(id);
+    if (!el) {
+      const archive = await this._loadArchive();
+      const idx = archive.findIndex(m => m.id === id);
+      if (idx < 0) return false;
+      this._showArchivedFrom(idx);
+      el = this._messageEl(id);
+      if (!el) return false;
+    }
+    el.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    el.classList.add('search-hit');
+    setTimeout(() => el.classList.remove('search-hit'), 2500);
+    return true;
+  },
+
+  // 把归档中从 idx 开始、尚未显示的消息按顺序插到聊天区顶部（只读，带 archived 标记）
+  _showArchivedFrom(idx) {
+    const archive = this._archive ? this._archive.messages : [];
+    const end = this._archiveShownFrom === null || this._archiveShownFrom === undefined ? archive.length : this._archiveShownFrom;
+    if (idx >= end || !this.addMessageFn || !this.chatMessagesEl) return;
+    const anchor = this.chatMessagesEl.firstChild;
+    this._isRendering = true;
+    try {
+      for (const m of archive.slice(idx, end)) {
+        const el = this.addMessageFn(m);
+        if (!el) continue;
+        el.classList.add('archived');
+        this.chatMessagesEl.insertBefore(el, anchor);
+      }
+    } finally {
+      this._isRendering = false;
+    }
+    this._archiveShownFrom = idx;
+    this.refreshTimeSeparators();
+  },
+
+  // 搜索面板：关键词 + 说话人 + 日期范围，可选择搜索的范围；点击结果跳转到消息
+  showSearchPanel() {
+    const modal = document.createElement('div');
+    Object.assign(modal.style, {
+      position: 'fixed', zIndex: 2000, left:0,top:0,right:0,bottom:0,display:'flex',alignItems:'flex-start',justifyContent:'center',background:'rgba(0,0,0,0.5)'
+    });
+    const box = document.createElement('div');
+    Object.assign(box.style, {background:'#fff',padding:'14px',borderRadius:'0 0 8px 8px',width:'100%',maxWidth:'600px',maxHeight:'85vh',display:'flex',flexDirection:'column',fontSize:'14px',boxSizing:'border-box'});
+    box.innerHTML = `
+      <div style="display:flex;gap:6px;">
+        <input type="search" id="history-search-input" placeholder="搜索聊天记录" style="flex:1;padding:6px;">
+        <button id="history-search-close">关闭</button>
+      </div>
+      <div style="display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin:8px 0;color:#666;font-size:13px;">
+        <select id="history-search-speaker">
+          <option value="all">全部发言</option>
+          <option value="user">我</option>
+          <option value="assistant">对方</option>
+        </select>
+        <span><input type="date" id="history-search-from"> 至 <input type="date" id="history-search-to"></span>
+        <label><input type="checkbox" data-source="messages" checked> 当前消息</label>
+        <label><input type="checkbox" data-source="archive" checked> 更早的原始记录</label>
+        <label><input type="checkbox" data-source="chunks" checked> 记忆摘要</label>
+      </div>
+      <div id="history-search-results" style="overflow-y:auto;flex:1;"></div>`;
+    modal.appendChild(box);
+    const close = () => { if (modal.parentNode) document.body.removeChild(modal); };
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    box.querySelector('#history-search-close').addEventListener('click', close);
+
+    const input = box.querySelector('#history-search-input');
+    const resultsEl = box.querySelector('#history-search-results');
+    const escapeHtml = (t) => String(t).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    // 摘取命中词附近的片段并标记命中词
+    const snippet = (text, terms) => {
+      const lower = text.toLowerCase();
+      const at = Math.max(0, lower.indexOf(terms[0]));
+      const start = Math.max(0, at - 30);
+      const part = (start > 0 ? '…' : '') + text.slice(start, at + 60) + (at + 60 < text.length ? '…' : '');
+      // 先在原文中找出命中范围（重叠的合并），再逐段转义，避免把 <mark> 插进 &amp; 等实体中
+      const ranges = [];
+      for (const term of terms) {
+        const re = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+        for (const m of part.matchAll(re)) ranges.push([m.index, m.index + m[0].length]);
+      }
+      ranges.sort((a, b) => a[0] - b[0]);
+      let html = '';
+      let pos = 0;
+      for (const [from, to] of ranges) {
+        if (to <= pos) continue;
+        const begin = Math.max(from, pos);
+        html += escapeHtml(part.slice(pos, begin)) + `<mark>${escapeHtml(part.slice(begin, to))}</mark>`;
+        pos = to;
+      }
+      return html + escapeHtml(part.slice(pos));
+    };
+    const labels = { message: '消息', archive: '更早记录', chunk: '记忆摘要' };
+
+    const run = async () => {
+      const query = input.value.trim();
+      if (!query) {
+        resultsEl.innerHTML = '';
+        return;
+      }
+      const fromVal = box.querySelector('#history-search-from').value;
+      const toVal = box.querySelector('#history-search-to').value;
+      const sources = {};
+      box.querySelectorAll('input[data-source]').forEach(cb => { sources[cb.dataset.source] = cb.checked; });
+      const results = await this.searchHistory(query, {
+        speaker: box.querySelector('#history-search-speaker').value,
+        from: fromVal ? new Date(fromVal + 'T00:00:00').getTime() : null,
+        to: toVal ? new Date(toVal + 'T23:59:59.999').getTime() : null,
+        sources
+      });
+      if (query !== input.value.trim()) return; // 已有更新的查询
+      const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+      resultsEl.innerHTML = results.length ? `<div style="color:#999;font-size:12px;margin-bottom:4px;">共 ${results.length} 条结果</div>` : '<div style="color:#999;padding:12px 0;">没有找到相关记录</div>';
+      for (const r of results.slice(0, 200)) {
+        const row = document.createElement('div');
+        Object.assign(row.style, {padding:'8px 4px',borderTop:'1px solid #eee',cursor:'pointer'});
+        const who = r.source === 'chunk' ? '' : (r.role === 'user' ? '我' : '对方') + ' · ';
+        row.innerHTML = `<div style="color:#999;font-size:12px;">${who}${new Date(r.ts).toLocaleString()} · ${labels[r.source]}</div><div style="white-space:pre-wrap;">${snippet(r.text, terms)}</div>`;
+        row.addEventListener('click', async () => {
+          if (r.source === 'chunk') {
+            // 记忆摘要：跳到它的第一条来源消息；来源已不在本机时显示摘要全文
+            const mc = this.memoryChunks.find(c => c.id === r.id);
+            const sources = (mc && mc.sourceIds) || [];
+            for (const id of sources) {
+              if (await this.jumpToMessage(id)) return close();
+            }
+            alert(r.text);
+            return;
+          }
+          close();
+          if (!(await this.jumpToMessage(r.id))) alert('这条消息已不在本机的记录中');
+        });
+        resultsEl.appendChild(row);
+      }
+    };
+
+    let timer = null;
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(run, 200);
+    };
+    input.addEventListener('input', schedule);
+    box.querySelectorAll('select, input[type="date"], input[data-source]').forEach(el => el.addEventListener('change', run));
+    document.body.appendChild(modal);
+    input.focus();
+  },
+
+  // ---------------- 编辑 / 删除 / 重新生成 ----------------
+  // 消息改动同步到分层记忆（MemorySystem.reviseMessage）、记忆块（按 sourceIds）、检索索引与下一次备份
+
+  _messageEl(id) {
+    return this.chatMessagesEl ? this.chatMessagesEl.querySelector(`.message[data-msg-id="${id}"]`) : null;
+  },
+
+  // 编辑自己的消息
+  async editMessage(id, text) {
+    const m = this.messages.find(x => x.id === id);
+    const newText = String(text || '').trim();
+    if (!m || m.role !== 'user' || !newText || newText === m.text) return false;
+    const oldText = m.text;
+    m.text = newText;
+    m.editedAt = Date.now();
+    this._reviseMessageEverywhere(id, oldText, newText, m.role);
+    const el = this._messageEl(id);
+    if (el) {
+      el.querySelector('.message-text').textContent = newText;
+      el.classList.add('edited');
+    }
+    await this.backupToIndexedDB();
+    this._updateDebugPanel();
+    return true;
+  },
+
+  async deleteMessage(id) {
+    if (!this._removeMessage(id)) return false;
+    await this.backupToIndexedDB();
+    this._updateDebugPanel();
+    return true;
+  },
+
+  _removeMessage(id) {
+    const idx = this.messages.findIndex(x => x.id === id);
+    if (idx < 0) return null;
+    const [m] = this.messages.splice(idx, 1);
+    this._reviseMessageEverywhere(id, m.text, null, m.role);
+    if (this.outbox) this.outbox.remove(id);
+    // 每条图片 / 表情消息有自己的媒体文件，随消息删除（归档中的消息已不在聊天区，不会走到这里）
+    if (m.media) deleteMedia(m.media.id).catch(e => console.warn('delete media failed', e));
+    const el = this._messageEl(id);
+    if (el) {
+      el.remove();
+      this.refreshTimeSeparators();
+      this._markLastSent();
+    }
+    return m;
+  },
+
+  // 最后一轮回复：最后一条用户消息之后的助手消息（一次回复可能拆成多个气泡）
+  _lastAssistantTurn() {
+    const turn = [];
+    for (let i = this.messages.length - 1; i >= 0 && this.messages[i].role === 'assistant'; i--) turn.unshift(this.messages[i]);
+    return turn;
+  },
+
+  // 删除最后一轮回复，用最后一条用户消息重新请求（发送逻辑由页面通过 initOptions.requestReply 提供）
+  async regenerateLastReply() {
+    const { requestReply, isReplying } = this.initOptions;
+    if (typeof requestReply !== 'function') return false;
+    if (typeof isReplying === 'function' && isReplying()) {
+      alert('请等待当前回复结束后再重新生成');
+      return false;
+    }
+    const turn = this._lastAssistantTurn();
+    const lastUser = [...this.messages].reverse().find(m => m.role === 'user');
+    if (!turn.length || !lastUser) return false;
+    for (const m of turn) this._removeMessage(m.id);
+    await this.backupToIndexedDB();
+    await requestReply(lastUser.text);
+    return true;
+  },
+
+  _reviseMessageEverywhere(id, oldText, newText, role) {
+    if (this.memorySystem) this.memorySystem.reviseMessage(id, oldText, newText, role);
+    // 资料去掉这条来源；编辑后的内容重新提取
+    if (this.factStore) {
+      this.factStore.removeSource(id);
+      const m = newText !== null && this.messages.find(x => x.id === id);
+      if (m && m.role === 'user') this._queueFactExtraction(m);
+    }
+    // 记忆块按行记录消息（“我: …”）：只改动属于这条消息的整行（与合并记忆相同，见 reviseSummary）。
+    // 删除时无法定位原文（如摘要接口改写过）或删后没有内容的记忆块整块移除，避免被删内容经检索回到上下文
+    for (const mc of [...this.memoryChunks]) {
+      if (!Array.isArray(mc.sourceIds) || !mc.sourceIds.includes(id)) continue;
+      const revised = reviseSummary(mc.summary, mc.lineSources, { id, text: oldText, role }, newText);
+      if (newText === null) {
+        mc.sourceIds = mc.sourceIds.filter(x => x !== id);
+        if (!revised || !revised.summary || !mc.sourceIds.length) {
+          this.memoryChunks = this.memoryChunks.filter(x => x !== mc);
+          this._unindexChunk(mc);
+          continue;
+        }
+      }
+      if (!revised) continue; // 编辑时无法定位原文：保留原摘要
+      mc.summary = revised.summary;
+      if (revised.lineSources) mc.lineSources = revised.lineSources;
+      this._indexChunk(mc);
+    }
+  },
+
+  // 右键（桌面）或长按（触屏）气泡弹出操作菜单；选择模式下不弹出
+  _bindMessageActions() {
+    const el = this.chatMessagesEl;
+    if (!el) return;
+    const target = (e) => (this._selection ? null : e.target.closest('.message[data-msg-id]'));
+    el.addEventListener('contextmenu', (e) => {
+      const div = target(e);
+      if (!div) return;
+      e.preventDefault();
+      this._showMessageMenu(div.dataset.msgId, e.clientX, e.clientY);
+    });
+    let pressTimer = null;
+    const cancelPress = () => {
+      if (pressTimer) clearTimeout(pressTimer);
+      pressTimer = null;
+    };
+    el.addEventListener('touchstart', (e) => {
+      const div = target(e);
+      if (!div) return;
+      const t = e.touches[0];
+      cancelPress();
+      pressTimer = setTimeout(() => {
+        pressTimer = null;
+        this._showMessageMenu(div.dataset.msgId, t.clientX, t.clientY);
+      }, 500);
+    }, { passive: true });
+    el.addEventListener('touchend', cancelPress);
+    el.addEventListener('touchmove', cancelPress);
+  },
+
+  _showMessageMenu(id, x, y) {
+    const m = this.messages.find(msg => msg.id === id);
+    if (!m) return;
+    if (this._messageMenu) this._messageMenu.remove();
+    const menu = document.createElement('div');
+    Object.assign(menu.style, {
+      position:'fixed',zIndex:1600,left:Math.min(x, window.innerWidth - 120) + 'px',top:Math.min(y, window.innerHeight - 120) + 'px',
+      background:'#4c4c4c',borderRadius:'6px',padding:'4px 0',boxShadow:'0 2px 8px rgba(0,0,0,0.3)',minWidth:'100px'
+    });
+    // 菜单打开期间在气泡下显示时间与状态（触屏没有悬停，长按即可查看）
+    const bubble = this._messageEl(id);
+    if (bubble) bubble.classList.add('show-meta');
+    const close = () => {
+      menu.remove();
+      if (bubble) bubble.classList.remove('show-meta');
+      if (this._messageMenu === menu) this._messageMenu = null;
+      document.removeEventListener('click', onOutside, true);
+    };
+    const onOutside = (e) => { if (!menu.contains(e.target)) close(); };
+    const addItem = (text, fn) => {
+      const item = document.createElement('div');
+      item.textContent = text;
+      Object.assign(item.style, {color:'#fff',padding:'8px 14px',cursor:'pointer',fontSize:'14px'});
+      item.addEventListener('click', () => { close(); fn(); });
+      menu.appendChild(item);
+    };
+    const time = document.createElement('div');
+    time.textContent = new Date(m.ts).toLocaleString() + (m.editedAt ? '（已编辑）' : '');
+    Object.assign(time.style, {color:'#bbb',padding:'4px 14px 6px',fontSize:'12px',borderBottom:'1px solid #5c5c5c',whiteSpace:'nowrap'});
+    menu.appendChild(time);
+    if (m.media && m.media.kind !== 'voice') {
+      addItem('添加到表情', async () => {
+        if (await this.saveMessageAsSticker(id)) alert('已添加到表情');
+      });
+    }
+    // 语音消息可以修改识别结果
+    if (m.role === 'user' && (!m.media || m.media.kind === 'voice')) {
+      addItem('编辑', () => {
+        const text = prompt('编辑消息：', m.text);
+        if (text !== null) this.editMessage(id, text);
+      });
+    }
+    if (this._lastAssistantTurn().some(x => x.id === id)) {
+      addItem('重新生成', () => this.regenerateLastReply());
+    }
+    const memory = this.memorySystem ? this.memorySystem.memoryForMessage(id) : null;
+    if (memory) {
+      addItem(memory.pinned ? '取消置顶' : '置顶为记忆', () => this.togglePinMessage(id));
+    }
+    addItem('删除', () => {
+      if (confirm('删除这条消息？相关的记忆也会同步移除。')) this.deleteMessage(id);
+    });
+    document.body.appendChild(menu);
+    this._messageMenu = menu;
+    setTimeout(() => document.addEventListener('click', onOutside, true), 0);
+  },
+
+  // ---------------- 口令加密 ----------------
+  // 启用后会话快照、本地缓存（latest_session_cache）与备份导出文件均以 AES-GCM 加密；
+  // Markdown / 网页导出仍为可读文件
+
+  encryptionEnabled() {
+    return !!localStorage.getItem(VERIFIER_KEY);
+  },
+
+  _verifier() {
+    try { return JSON.parse(localStorage.getItem(VERIFIER_KEY) || 'null'); } catch (_) { return null; }
+  },
+
+  // 口令模式下快照保存为 {conversationId, ts, rev, encrypted}：不解密也能比较新旧、按会话清理缓存
+  async _sealSnapshot(snap) {
+    if (!this.vaultKey) return snap;
+    return { conversationId: snap.conversationId, ts: snap.ts, rev: snap.rev, encrypted: await encryptText(this.vaultKey, JSON.stringify(snap)) };
+  },
+
+  // 口令派生的密钥同时用于媒体文件（static/mediaStore.js）与语音缓存（TtsCache.setVault）
+  async _setVaultKey(key) {
+    this.vaultKey = key;
+    setMediaKey(key);
+    await this.ttsCache.setVault(key);
+  },
+
+  // 检索索引的词项来自消息原文：口令模式下保存为 {encrypted}。无法解密时返回 null，由记忆块与记忆重建
+  async _sealIndex(data) {
+    if (!this.vaultKey) return data;
+    return { encrypted: await encryptText(this.vaultKey, JSON.stringify(data)) };
+  },
+
+  async _openIndex(stored) {
+    if (!stored || !stored.encrypted) return stored || null;
+    if (!this.vaultKey) return null;
+    return JSON.parse(await decryptText(this.vaultKey, stored.encrypted));
+  },
+
+  async _openSnapshot(stored) {
+    if (!stored || !stored.encrypted) return stored || null;
+    if (!this.vaultKey) throw new Error('备份已加密，请先输入口令解锁');
+    return JSON.parse(await decryptText(this.vaultKey, stored.encrypted));
+  },
+
+  async _sealExportText(text) {
+    if (!this.vaultKey) return text;
+    const header = JSON.stringify({ encrypted: true, exportedAt: new Date().toISOString() });
+    return header + ENCRYPTED_SEPARATOR + JSON.stringify(await encryptText(this.vaultKey, text));
+  },
+
+  // 解密导出文件：同一口令加密的文件直接用当前密钥解开，否则询问该文件的口令。取消时返回 null
+  async _openExportText(text) {
+    const envelope = JSON.parse(text.split(ENCRYPTED_SEPARATOR)[1]);
+    if (sameKdf(this.vaultKey, envelope)) {
+      try { return await decryptText(this.vaultKey, envelope); } catch (_) { /* 改为询问口令 */ }
+    }
+    let plain = null;
+    await this._passphraseDialog({
+      title: '导入加密文件',
+      message: '该文件已用口令加密，请输入导出时使用的口令。',
+      fields: [{ name: 'passphrase', label: '口令' }],
+      submitText: '解密',
+      onSubmit: async ({ passphrase }) => {
+        try {
+          plain = await decryptWithPassphrase(passphrase, envelope);
+        } catch (e) {
+          return e instanceof WrongPassphraseError ? '口令错误：无法用此口令解密该文件' : '解密失败：' + e.message;
+        }
+      }
+    });
+    return plain;
+  },
+
+  async _unlockAtStartup() {
+    const verifier = this._verifier();
+    await this._passphraseDialog({
+      title: '解锁聊天记录',
+      message: '聊天备份已用口令加密，请输入口令。',
+      fields: [{ name: 'passphrase', label: '口令' }],
+      submitText: '解锁',
+      cancellable: false,
+      extraAction: { text: '忘记口令…', fn: () => this._forgetPassphrase() },
+      onSubmit: async ({ passphrase }) => {
+        try {
+          await this._setVaultKey(await unlockVerifier(passphrase, verifier));
+        } catch (e) {
+          return e instanceof WrongPassphraseError ? '口令错误，请重试' : '解锁失败：' + e.message;
+        }
+      }
+    });
+  },
+
+  // 忘记口令：加密的快照无法恢复，确认后清除它们并关闭口令模式（会话列表与未加密的数据保留）。返回 true 表示已清除
+  async _forgetPassphrase() {
+    if (!confirm('口令无法找回，已加密的聊天记录将无法恢复。\n确定清除所有加密的聊天记录并关闭备份加密吗？')) return false;
+    const list = await idbGet(BACKUP_STORE, CONVERSATIONS_KEY);
+    for (const c of Array.isArray(list) ? list : []) {
+      for (const key of [convKey(c.id), archiveKey(c.id)]) {
+        const stored = await idbGet(BACKUP_STORE, key);
+        if (stored && stored.encrypted) await idbDelete(BACKUP_STORE, key);
+      }
+      // 加密的分层记忆一并清除；检索索引是派生数据，下次打开会话时重建
+      await deleteConversationMemories(c.id, { encryptedOnly: true });
+      await idbDelete(BACKUP_STORE, indexKey(c.id));
+    }
+    await deleteEncryptedMedia();
+    await this.ttsCache.clear();
+    await this.ttsCache.setVault(null);
+    localStorage.removeItem(this._localCacheKey);
+    localStorage.removeItem(VERIFIER_KEY);
+    this._updateEncryptionStatus();
+    return true;
+  },
+
+  async enablePassphrase() {
+    if (this.encryptionEnabled()) return this.changePassphrase();
+    const done = await this._passphraseDialog({
+      title: '启用备份加密',
+      message: '启用后，会话快照、本地缓存与导出的备份文件都会用口令加密。口令不会被保存，忘记后无法恢复已加密的记录。',
+      fields: [{ name: 'next', label: '新口令' }, { name: 'confirm', label: '再次输入新口令' }],
+      submitText: '启用',
+      onSubmit: async ({ next, confirm }) => {
+        const invalid = this._checkNewPassphrase(next, confirm);
+        if (invalid) return invalid;
+        const { vaultKey, verifier } = await createVerifier(next);
+        await this._rekeyAll(vaultKey);
+        localStorage.setItem(VERIFIER_KEY, JSON.stringify(verifier));
+      }
+    });
+    this._updateEncryptionStatus();
+    if (done) alert('已启用备份加密');
+  },
+
+  async changePassphrase() {
+    const done = await this._passphraseDialog({
+      title: '更改口令',
+      fields: [{ name: 'current', label: '当前口令' }, { name: 'next', label: '新口令' }, { name: 'confirm', label: '再次输入新口令' }],
+      submitText: '更改',
+      onSubmit: async ({ current, next, confirm }) => {
+        const invalid = this._checkNewPassphrase(next, confirm);
+        if (invalid) return invalid;
+        try {
+          await unlockVerifier(current, this._verifier());
+        } catch (e) {
+          return e instanceof WrongPassphraseError ? '当前口令错误' : '验证失败：' + e.message;
+        }
+        const { vaultKey, verifier } = await createVerifier(next);
+        await this._rekeyAll(vaultKey);
+        localStorage.setItem(VERIFIER_KEY, JSON.stringify(verifier));
+      }
+    });
+    if (done) alert('口令已更改。之前导出的加密文件仍需使用旧口令导入。');
+  },
+
+  async disablePassphrase() {
+    if (!this.encryptionEnabled()) return;
+    const done = await this._passphraseDialog({
+      title: '关闭备份加密',
+      message: '关闭后，会话快照与之后导出的备份文件将以明文保存。',
+      fields: [{ name: 'current', label: '当前口令' }],
+      submitText: '关闭加密',
+      onSubmit: async ({ current }) => {
+        try {
+          await unlockVerifier(current, this._verifier());
+        } catch (e) {
+          return e instanceof WrongPassphraseError ? '口令错误' : '验证失败：' + e.message;
+        }
+        await this._rekeyAll(null);
+        localStorage.removeItem(VERIFIER_KEY);
+      }
+    });
+    this._updateEncryptionStatus();
+    if (done) alert('已关闭备份加密');
+  },
+
+  _checkNewPassphrase(next, confirm) {
+    if (!next || next.length < 6) return '口令至少需要 6 个字符';
+    if (next !== confirm) return '两次输入的新口令不一致';
+    return null;
+  },
+
+  // 用新密钥（null 表示明文）重写所有会话快照、归档与分层记忆：先用旧密钥全部读出，再统一写入
+  async _rekeyAll(newKey) {
+    const oldKey = this.vaultKey;
+    const snaps = [];
+    const memories = [];
+    for (const c of this.conversations) {
+      for (const key of [convKey(c.id), archiveKey(c.id)]) {
+        const stored = await idbGet(BACKUP_STORE, key);
+        if (stored) snaps.push([key, await this._openSnapshot(stored)]);
+      }
+      memories.push(...await readMemoryRecords(c.id, this.vaultKey));
+    }
+    await this._memoryWrites; // 等待进行中的记忆写入，避免之后用旧密钥写入
+    // 语音缓存只是缓存：更换密钥时清空，不逐条重新加密
+    await this.ttsCache.clear();
+    await this._setVaultKey(newKey);
+    for (const [key, snap] of snaps) await idbPut(BACKUP_STORE, key, await this._sealSnapshot(snap));
+    await writeMemoryRecords(memories, newKey);
+    await rekeyMedia(oldKey, newKey);
+    // 检索索引是派生数据：其他会话的索引删除后在打开时重建，当前会话的随下面的备份重写
+    for (const c of this.conversations) await idbDelete(BACKUP_STORE, indexKey(c.id));
+    this._indexDirty = true;
+    // 本地缓存只对应当前会话：清除后用内存中的最新状态重写（内容未变也要写入）
+    localStorage.removeItem(this._localCacheKey);
+    this._syncedBody = null;
+    await this.backupToIndexedDB();
+  },
+
+  // 设置面板中的语音缓存占用
+  async updateTtsCacheStatus() {
+    const status = document.getElementById('tts-cache-status');
+    if (!status || !this.ttsCache) return;
+    try {
+      const { count, bytes } = await this.ttsCache.stats();
+      status.textContent = `${count} 段，${(bytes / 1024 / 1024).toFixed(1)}MB / ${Math.round(this.ttsCache.maxBytes / 1024 / 1024)}MB`;
+    } catch (e) {
+      status.textContent = '无法读取';
+    }
+  },
+
+  async clearTtsCache() {
+    if (!this.ttsCache || !confirm('清空所有缓存的语音？再次播放时会重新请求语音接口。')) return;
+    try {
+      await this.ttsCache.clear();
+    } catch (e) {
+      alert('清空语音缓存失败：' + e.message);
+    }
+    this.updateTtsCacheStatus();
+  },
+
+  _updateEncryptionStatus() {
+    const status = document.getElementById('encryption-status');
+    const enableBtn = document.getElementById('encryption-enable-btn');
+    const disableBtn = document.getElementById('encryption-disable-btn');
+    const on = this.encryptionEnabled();
+    if (status) status.textContent = on ? '已启用（AES-GCM，PBKDF2 派生密钥）' : '未启用';
+    if (enableBtn) enableBtn.textContent = on ? '更改口令' : '启用加密';
+    if (disableBtn) disableBtn.style.display = on ? '' : 'none';
+  },
+
+  // 口令输入对话框。fields: [{name, label}]；onSubmit(values) 返回字符串时作为错误提示留在对话框中，
+  // 否则关闭对话框。cancellable 为 false 时没有取消按钮；extraAction.fn 返回 true 时关闭对话框。
+  // 返回 true 表示已提交完成，false 表示取消
+  _passphraseDialog({ title, message = '', fields, submitText = '确定', cancellable = true, extraAction = null, onSubmit }) {
+    return new Promise((resolve) => {
+      const modal = document.createElement('div');
+      Object.assign(modal.style, {
+        position: 'fixed', zIndex: 3000, left:0,top:0,right:0,bottom:0,display:'flex',alignItems:'center',justifyContent:'center',background:'rgba(0,0,0,0.6)'
+      });
+      const form = document.createElement('form');
+      Object.assign(form.style, {background:'#fff',padding:'18px',borderRadius:'8px',width:'90%',maxWidth:'380px',fontSize:'14px'});
+      form.innerHTML = `<h3 style="margin-top:0">${title}</h3>${message ? `<div style="color:#666;margin-bottom:10px;">${message}</div>` : ''}`;
+      const inputs = {};
+      for (const f of fields) {
+        const label = document.createElement('label');
+        Object.assign(label.style, {display:'block',marginBottom:'8px'});
+        label.textContent = f.label;
+        const input = document.createElement('input');
+        input.type = 'password';
+        input.autocomplete = f.name === 'current' || f.name === 'passphrase' ? 'current-password' : 'new-password';
+        Object.assign(input.style, {display:'block',width:'100%',boxSizing:'border-box',marginTop:'4px',padding:'6px'});
+        label.appendChild(input);
+        form.appendChild(label);
+        inputs[f.name] = input;
+      }
+      const error = document.createElement('div');
+      Object.assign(error.style, {color:'#e64340',minHeight:'18px',marginBottom:'6px'});
+      form.appendChild(error);
+
+      const actions = document.createElement('div');
+      Object.assign(actions.style, {display:'flex',gap:'8px',justifyContent:'flex-end'});
+      const close = (result) => {
+        if (modal.parentNode) document.body.removeChild(modal);
+        resolve(result);
+      };
+      if (extraAction) {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = extraAction.text;
+        b.style.marginRight = 'auto';
+        b.addEventListener('click', async () => { if (await extraAction.fn()) close(false); });
+        actions.appendChild(b);
+      }
+      if (cancellable) {
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.textContent = '取消';
+        cancelBtn.addEventListener('click', () => close(false));
+        actions.appendChild(cancelBtn);
+      }
+      const submitBtn = document.createElement('button');
+      submitBtn.type = 'submit';
+      submitBtn.textContent = submitText;
+      actions.appendChild(submitBtn);
+      form.appendChild(actions);
+
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const values = Object.fromEntries(Object.entries(inputs).map(([name, input]) => [name, input.value]));
+        submitBtn.disabled = true;
+        submitBtn.textContent = '处理中…';
+        let err;
+        try {
+          err = await onSubmit(values);
+        } catch (ex) {
+          err = '操作失败：' + (ex && ex.message || ex);
+        }
+        submitBtn.disabled = false;
+        submitBtn.textContent = submitText;
+        if (err) {
+          error.textContent = err;
+          return;
+        }
+        close(true);
+      });
+      modal.appendChild(form);
+      document.body.appendChild(modal);
+      const first = Object.values(inputs)[0];
+      if (first) first.focus();
+    });
+  },
+
+  // 初始化调试面板
+  _initDebugPanel() {
+    // 确保调试面板元素存在
+    const panel = document.getElementById('debug-panel');
+    const toggle = document.getElementById('debug-toggle');
+    if (!panel || !toggle) {
+      console.warn('调试面板元素未找到');
+      return;
+    }
+
+    // 设置自动更新（每秒）
+    setInterval(() => this._updateDebugPanel(), 1000);
+    
+    // 初次更新
+    this._updateDebugPanel();
+  },
+
+  // 更新调试面板信息
+  _updateDebugPanel() {
+    try {
+      // DOM 元素
+      const activeEl = document.getElementById('debug-active-messages');
+      const memoryEl = document.getElementById('debug-memory-chunks');
+      const tokensEl = document.getElementById('debug-tokens');
+      const usedChunksEl = document.getElementById('debug-used-chunks');
+      const compactionEl = document.getElementById('debug-compaction');
+      const contextEl = document.getElementById('debug-context');
+
+      // 消息与记忆块数量
+      if (activeEl) activeEl.textContent = this.messages?.length || 0;
+      if (memoryEl) memoryEl.textContent = this.memoryChunks?.length || 0;
+
+      // 最近一次发送给后端的上下文：估算 tokens、使用的记忆块数量与各部分的取舍
+      const report = this._lastContextReport;
+      if (this._lastPayload && report) {
+        if (tokensEl) tokensEl.textContent = `${report.totalTokens} / ${report.budget}`;
+        if (usedChunksEl) usedChunksEl.textContent = (this._lastPayload.memory_chunks || []).length;
+        if (contextEl) {
+          contextEl.textContent = Object.entries(CONTEXT_SECTION_LABELS).map(([name, label]) => {
+            const u = report.usage[name];
+            if (!u) return `${label}: -`;
+            const dropped = report.dropped[name];
+            const bySection = dropped.filter(d => d.reason === 'section').length;
+            const byTotal = dropped.length - bySection;
+            const drops = [bySection && `超出上限 ${bySection}`, byTotal && `总预算裁剪 ${byTotal}`].filter(Boolean).join('，');
+            return `${label}: ${u.included} 条 ${u.tokens}/${u.max} tokens${drops ? `（丢弃：${drops}）` : ''}`;
+          }).join('\n');
+        }
+      }
+
+      // 最近一次定时压缩
+      const compaction = this.getCompactionReport();
+      if (compactionEl && compaction) {
+        const m = compaction.moved || {};
+        const when = new Date(compaction.startedAt).toLocaleString();
+        compactionEl.textContent = compaction.ok
+          ? `${when}（${compaction.kind === 'weekly' ? '周' : '日'}）短→中 ${m.shortToMedium || 0}，中→长 ${m.mediumToLong || 0}`
+          : `${when} 失败`;
+      }
+
+      // 切换按钮在面板显示时隐藏，面板隐藏时显示
+      const toggle = document.getElementById('debug-toggle');
+      const panel = document.getElementById('debug-panel');
+      if (toggle && panel) toggle.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+    } catch (e) {
+      // 安全兜底，避免调试面板影响主流程
+      // console.warn('update debug panel failed', e);
+    }
+  },
+
+  async maybeSummarizeByTime() {
+    const now = Date.now();
+    // 条件1：消息数量超过阈值
+    const shouldSummarizeByCount = this.messagesSinceLastSummarize >= this.summarizeThreshold;
+    // 条件2：距离上次总结超过3分钟且有新消息
+    const shouldSummarizeByTime = this.messagesSinceLastSummarize > 0 && 
+      (now - this.lastSummarizeTime) > 180_000;
+
+    if (shouldSummarizeByCount || shouldSummarizeByTime) {
+      await this.summarizeOlderHistoryIfAny();
+      this.messagesSinceLastSummarize = 0;
+      this.lastSummarizeTime = now;
+    }
+  },
+
+  async summarizeOlderHistoryIfAny() {
     console.log('开始检查是否需要生成记忆块...');
     console.log(`当前消息数: ${this.messages.length}`);
     console.log(`保留最新消息数: ${this.recentN}`);
@@ -636,19 +2440,20 @@ const ChatManager = {
     const batchSize = 30;
     for (let i = 0; i < older.length; i += batchSize) {
       const batch = older.slice(i, Math.min(i + batchSize, older.length));
-      const summaryText = `历史对话 ${i + 1}-${i + batch.length}:\n` +
-        batch.map(m => `${m.role === 'user' ? '我' : '男友'}: ${m.text}`).join('\n');
-      
-      this.memoryChunks.push({
+      const chunk = {
         id: 'mc_' + Date.now() + '_' + i,
-        summary: summaryText,
-        createdAt: Date.now()
-      });
+        ...this._chunkSummary(`历史对话 ${i + 1}-${i + batch.length}:`, batch),
+        createdAt: Date.now(),
+        sourceIds: batch.map(m => m.id) // 来源消息，编辑/删除消息时据此同步
+      };
+      this.memoryChunks.push(chunk);
+      this._indexChunk(chunk);
       
       console.log(`已生成第 ${Math.floor(i/batchSize) + 1} 个记忆块，包含消息 ${i + 1} 至 ${i + batch.length}`);
     }
     
-    // 只保留最近的消息
+    // 原始消息移入归档（仍可搜索），只保留最近的消息
+    await this._appendToArchive(older);
     this.messages = this.messages.slice(this.messages.length - this.recentN);
     
     // 保存到 IndexedDB
@@ -668,63 +2473,370 @@ const ChatManager = {
       // merge the oldest two into one summary by calling summarize endpoint
       const a = this.memoryChunks.shift();
       const b = this.memoryChunks.shift();
+      this._unindexChunk(a);
+      this._unindexChunk(b);
+      // 按行带上来源消息，合并后的记忆块仍能按消息编辑或删除
+      const items = [...summaryItems(a.summary, a.lineSources), ...summaryItems(b.summary, b.lineSources)];
+      let combined = null;
       try {
         const resp = await fetch('/api/summarize', {
           method: 'POST', headers: {'Content-Type':'application/json'},
-          body: JSON.stringify({ messages: [{role:'system', text: a.summary}, {role:'system', text: b.summary}], target_token: 400 })
+          body: JSON.stringify({ messages: items, target_token: 400 })
         });
         if (resp.ok) {
           const data = await resp.json();
-          const combined = data.summary || (a.summary + '\n' + b.summary);
-          this.memoryChunks.unshift({ id: 'mc_' + Date.now(), summary: combined, createdAt: Date.now() });
-        } else {
-          this.memoryChunks.unshift({ id: 'mc_' + Date.now(), summary: a.summary + '\n' + b.summary, createdAt: Date.now() });
+          if (data.summary) combined = { summary: data.summary, lineSources: data.line_sources || null };
         }
-      } catch (e) {
-        this.memoryChunks.unshift({ id: 'mc_' + Date.now(), summary: a.summary + '\n' + b.summary, createdAt: Date.now() });
-      }
+      } catch (e) { /* 使用本地摘要 */ }
+      if (!combined) combined = summarizeWithSources(items, { targetTokens: 400 });
+      const merged = {
+        id: 'mc_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
+        summary: combined.summary,
+        ...(Array.isArray(combined.lineSources) ? { lineSources: combined.lineSources } : {}),
+        createdAt: Date.now(),
+        sourceIds: [...(a.sourceIds || []), ...(b.sourceIds || [])]
+      };
+      this.memoryChunks.unshift(merged);
+      this._indexChunk(merged);
     }
     await this.backupToIndexedDB();
   },
 
-  // When preparing to send to LLM, attach top-k relevant memory chunks (placeholder using naive text matching)
+  // ---------------- 定时压缩 ----------------
+  // 每日：过期的短期/中期记忆下沉一层；每周：再整理长期记忆并合并超额的记忆块
+
+  _createCompactionScheduler() {
+    return new CompactionScheduler({
+      jobs: {
+        daily: async () => {
+          const moved = await this.memorySystem.compressMemories();
+          return { moved, ...this._layerCounts() };
+        },
+        weekly: async () => {
+          const moved = await this.memorySystem.compressMemories();
+          const consolidated = await this.memorySystem.consolidateLongTerm();
+          const chunksBefore = this.memoryChunks.length;
+          await this.capMemoryChunks();
+          return { moved, ...consolidated, chunksMerged: chunksBefore - this.memoryChunks.length, ...this._layerCounts() };
+        }
+      },
+      loadState: (id) => idbGet(BACKUP_STORE, compactionKey(id)),
+      saveState: (id, state) => idbPut(BACKUP_STORE, compactionKey(id), state),
+      onReport: (report) => {
+        const m = report.moved || {};
+        console.log(`记忆压缩（${report.kind === 'weekly' ? '每周' : '每日'}）完成:`,
+          report.ok ? `短期→中期 ${m.shortToMedium || 0} 条，中期→长期 ${m.mediumToLong || 0} 条` : report.error, report);
+        this._updateDebugPanel();
+      }
+    });
+  },
+
+  // ---------------- 主动消息 ----------------
+
+  _createProactiveScheduler() {
+    return new ProactiveScheduler({
+      getSettings: () => this.proactiveSettings(),
+      lastMessageTs: () => {
+        const last = this.messages[this.messages.length - 1];
+        return last ? last.ts : null;
+      },
+      canSend: () => {
+        // 多个标签页打开同一会话时只由写入者发送，避免重复问候
+        if (!this.tabSync.isLeader) return false;
+        const isReplying = this.initOptions.isReplying;
+        if (typeof isReplying === 'function' && isReplying()) return false;
+        return navigator.onLine !== false && !this._awaitingReply().length;
+      },
+      send: (trigger) => this._sendProactive(trigger),
+      loadState: (id) => idbGet(BACKUP_STORE, proactiveKey(id)),
+      saveState: (id, state) => idbPut(BACKUP_STORE, proactiveKey(id), state)
+    });
+  },
+
+  proactiveSettings() {
+    let raw = null;
+    try { raw = JSON.parse(localStorage.getItem(PROACTIVE_SETTINGS_KEY) || 'null'); } catch (e) { /* 使用默认设置 */ }
+    return normalizeProactiveSettings(raw);
+  },
+
+  // 开启主动消息需要用户明确同意；同时请求通知权限，页面在后台时以系统通知提醒
+  async setProactiveSettings(changes) {
+    const current = this.proactiveSettings();
+    const next = normalizeProactiveSettings({ ...current, ...changes });
+    if (next.enabled && !current.enabled) {
+      const persona = this._activePersona();
+      const name = (persona && persona.name) || '对方';
+      if (!confirm(`允许「${name}」主动给你发消息吗？\n\n页面开着（包括在后台）时，他会在早安时间问候你，或在你们很久没聊天时找你说话。消息由聊天接口生成，会写入当前会话。可随时在设置中关闭。`)) {
+        next.enabled = false;
+      } else if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+        try { await Notification.requestPermission(); } catch (e) { console.warn('request notification permission failed', e); }
+      }
+    }
+    localStorage.setItem(PROACTIVE_SETTINGS_KEY, JSON.stringify(next));
+    this.updateProactiveControls();
+    if (this.proactiveScheduler) this.proactiveScheduler.check();
+    return next;
+  },
+
+  _bindProactiveSettings() {
+    const enabledInput = document.getElementById('proactive-enabled-input');
+    const morningInput = document.getElementById('proactive-morning-input');
+    const idleInput = document.getElementById('proactive-idle-input');
+    if (enabledInput) enabledInput.addEventListener('change', () => this.setProactiveSettings({ enabled: enabledInput.checked }));
+    if (morningInput) morningInput.addEventListener('change', () => this.setProactiveSettings({ morningTime: morningInput.value }));
+    if (idleInput) idleInput.addEventListener('change', () => this.setProactiveSettings({ inactivityHours: parseFloat(idleInput.value) || 0 }));
+    this.updateProactiveControls();
+  },
+
+  updateProactiveControls() {
+    const settings = this.proactiveSettings();
+    const enabledInput = document.getElementById('proactive-enabled-input');
+    const morningInput = document.getElementById('proactive-morning-input');
+    const idleInput = document.getElementById('proactive-idle-input');
+    const status = document.getElementById('proactive-status');
+    if (enabledInput) enabledInput.checked = settings.enabled;
+    if (morningInput) {
+      morningInput.value = settings.morningTime;
+      morningInput.disabled = !settings.enabled;
+    }
+    if (idleInput) {
+      idleInput.value = settings.inactivityHours ? String(settings.inactivityHours) : '0';
+      idleInput.disabled = !settings.enabled;
+    }
+    if (status) {
+      const permission = typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+      status.textContent = !settings.enabled ? '未开启' :
+        permission === 'granted' ? '已开启，页面在后台时以系统通知提醒' :
+        permission === 'denied' ? '已开启（浏览器已拒绝通知，只在聊天中显示）' :
+        permission === 'unsupported' ? '已开启（浏览器不支持通知，只在聊天中显示）' : '已开启（未授权通知，只在聊天中显示）';
+    }
+  },
+
+  // 通过聊天接口生成一条主动消息（structured_context.proactive 标明原因），渲染方式与普通回复相同
+  async _sendProactive(trigger) {
+    const requestReply = this.initOptions.requestReply;
+    if (typeof requestReply !== 'function') return false;
+    const conversationId = this.conversationId;
+    const before = this.messages.length;
+    await requestReply('', { proactive: trigger });
+    if (this.conversationId !== conversationId) return false;
+    const added = this.messages.slice(before).filter(m => m.role === 'assistant');
+    if (!added.length) return false;
+    this._notifyProactive(added);
+    return true;
+  },
+
+  // 页面在后台时用系统通知显示主动消息，点击回到页面
+  async _notifyProactive(messages) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    if (document.visibilityState === 'visible') return;
+    const meta = this._conversationMeta(this.conversationId);
+    const look = await this._exportAppearance(meta);
+    try {
+      const notification = new Notification(look.assistantName, {
+        body: messages.map(m => m.text).join('\n'),
+        ...(look.assistantAvatar ? { icon: look.assistantAvatar } : {}),
+        tag: 'proactive_' + this.conversationId
+      });
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
+    } catch (e) {
+      console.warn('show notification failed', e);
+    }
+  },
+
+  _layerCounts() {
+    const l = this.memorySystem.layers;
+    return { shortTerm: l.shortTerm.memories.length, mediumTerm: l.mediumTerm.memories.length, longTerm: l.longTerm.memories.length };
+  },
+
+  // 最近一次压缩报告，没有时返回 null
+  getCompactionReport() {
+    return this.compactionScheduler ? this.compactionScheduler.lastReport() : null;
+  },
+
+  // ---------------- 检索索引 ----------------
+  // 文档 id：记忆块为 chunk:<id>，分层记忆为 mem:<id>
+
+  _indexChunk(mc) {
+    if (!this.searchIndex || !mc.summary) return;
+    this.searchIndex.add('chunk:' + mc.id, mc.summary);
+    this._indexDirty = true;
+  },
+
+  _unindexChunk(mc) {
+    if (this.searchIndex && this.searchIndex.remove('chunk:' + mc.id)) this._indexDirty = true;
+  },
+
+  // 订阅记忆系统变更：增量更新索引，并写入 IndexedDB 的 memories 存储区
+  // （先删后加：未压缩的单条记忆换层时会同时出现在两边；口令模式下先加密，按变更顺序依次写入）
+  _bindMemorySystem() {
+    if (this._unsubscribeMemory) this._unsubscribeMemory();
+    const memorySystem = this.memorySystem;
+    const conversationId = this.conversationId;
+    this._unsubscribeMemory = memorySystem.subscribe((change) => {
+      if (conversationId) {
+        const key = this.vaultKey;
+        this._memoryWrites = (this._memoryWrites || Promise.resolve())
+          .then(() => (change.reset ? replaceMemories(conversationId, memorySystem, key) : applyMemoryChange(conversationId, memorySystem, change, key)))
+          .catch(e => console.warn('persist memories failed', e));
+      }
+      if (!this.searchIndex) return;
+      if (change.reset) return this._syncSearchIndex();
+      for (const m of change.removed) this.searchIndex.remove('mem:' + m.id);
+      for (const m of change.added) if (m.summary) this.searchIndex.add('mem:' + m.id, m.summary);
+      this._indexDirty = true;
+    });
+  },
+
+  // 对齐索引与当前数据：补齐缺失的文档，移除已不存在的文档
+  _syncSearchIndex() {
+    if (!this.searchIndex) return;
+    const wanted = new Map();
+    for (const mc of this.memoryChunks) wanted.set('chunk:' + mc.id, mc.summary);
+    for (const m of this.memorySystem ? this.memorySystem.allMemories() : []) wanted.set('mem:' + m.id, m.summary);
+    for (const id of this.searchIndex.ids()) {
+      if (!wanted.has(id)) {
+        this.searchIndex.remove(id);
+        this._indexDirty = true;
+      }
+    }
+    for (const [id, text] of wanted) {
+      if (text && !this.searchIndex.has(id)) {
+        this.searchIndex.add(id, text);
+        this._indexDirty = true;
+      }
+    }
+  },
+
+  async _loadSearchIndex(conversationId) {
+    let data = null;
+    try {
+      data = await this._openIndex(await idbGet(BACKUP_STORE, indexKey(conversationId)));
+    } catch (e) {
+      console.warn('load search index failed', e);
+    }
+    this.searchIndex = LexicalIndex.fromJSON(data);
+    this._indexDirty = !data;
+  },
+
+  // 发送给模型前，检索与当前输入最相关的 top-k 记忆（记忆块 + 分层记忆，BM25 打分）。
+  // 已在最近消息窗口内的原始消息不再重复返回；没有命中时返回空数组
   async getContextForPrompt(queryText, k=3) {
-    // If backend embedding endpoint exists, call it instead. Here we do a naive substring score.
-    const scores = this.memoryChunks.map(mc => {
-      const q = queryText.toLowerCase();
-      const s = mc.summary.toLowerCase();
-      let score = 0;
-      if (s.includes(q)) score += 10;
-      const common = q.split(/\s+/).filter(w => w && s.includes(w));
-      score += common.length;
-      return {mc, score};
+    if (!this.searchIndex) return [];
+    const recent = this.messages.slice(-this.recentN);
+    const recentIds = new Set(recent.map(m => m.id));
+    const recentKeys = new Set(recent.map(m => `${m.ts}|${m.text}`)); // 旧记忆没有消息 id
+    const chunksById = new Map(this.memoryChunks.map(mc => [mc.id, mc]));
+    const memoriesById = new Map((this.memorySystem ? this.memorySystem.allMemories() : []).map(m => [m.id, m]));
+
+    const isRecentMessage = (m) => m.type === 'message' && m.content && (recentIds.has(m.content.id) || recentKeys.has(`${m.content.ts}|${m.content.text}`));
+    const hits = this.searchIndex.search(queryText, k, (docId) => {
+      if (!docId.startsWith('mem:')) return true;
+      const m = memoriesById.get(docId.slice(4));
+      return !!m && !isRecentMessage(m);
     });
-    scores.sort((a,b)=>b.score-a.score);
-    return scores.slice(0,k).map(x=>x.mc);
+
+    return hits.map(({ id, score }) => {
+      if (id.startsWith('chunk:')) {
+        const mc = chunksById.get(id.slice(6));
+        return mc ? { ...mc, score } : null;
+      }
+      const m = memoriesById.get(id.slice(4));
+      return m ? { id: m.id, summary: m.summary, createdAt: m.createdAt, source: 'memory', score } : null;
+    }).filter(Boolean);
   },
 
   // to be called when sending a message to backend - increments counters and returns assembled payload
-  async preparePayloadForBackend(userMessage) {
-    // get recentN messages
+  // 上下文按 CONTEXT_BUDGET 分配：人设、置顶记忆、检索记忆与最近对话各有上限，超出总预算时裁剪优先级最低的条目。
+  // options.proactive：主动消息的触发原因（{reason, silenceHours}），随 structured_context.proactive 发送，此时 userMessage.text 为空
+  async preparePayloadForBackend(userMessage, options = {}) {
     const recent = this.messages.slice(-this.recentN);
-    // get relevant memory chunks
-    const relevant = await this.getContextForPrompt(userMessage.text, 3);
-    // assemble a payload
+    const persona = this._activePersona();
+    const pinned = this.memorySystem ? this.memorySystem.pinnedMemories() : [];
+    const pinnedIds = new Set(pinned.map(m => m.id));
+    // 置顶记忆总会单独放入，不再占用检索结果
+    const relevant = (await this.getContextForPrompt(userMessage.text, CONTEXT_BUDGET.retrieveK)).filter(mc => !pinnedIds.has(mc.id));
+
+    const now = Date.now();
+    const facts = this.factStore ? this.factStore.list() : [];
+
+    const summaryItem = (value, priority) => ({ value, tokens: estimateMessageTokens({ text: value.summary }), priority });
+    const sections = {
+      persona: persona ? PERSONA_FIELDS.filter(f => persona[f]).map((f, i) => ({ value: f, tokens: estimateTokens(persona[f]), priority: PERSONA_FIELDS.length - i })) : [],
+      // 与本次输入相关的资料优先，其次按可信度
+      facts: facts.map(f => {
+        const value = { key: f.key, label: this.factStore.label(f), value: f.value, confidence: f.confidence };
+        const priority = this.factStore.relevance(f, userMessage.text) + this.factStore.effectiveConfidence(f, now);
+        return { value, tokens: estimateTokens(`${value.label}：${value.value}`) + 2, priority };
+      }),
+      pinned: pinned.map(m => summaryItem({ id: m.id, summary: m.summary, createdAt: m.createdAt, source: 'pinned' }, m.pinnedAt || 0)),
+      chunks: relevant.map(mc => summaryItem(mc, mc.score || 0)),
+      recent: recent.map((m, i) => ({ value: m, tokens: estimateMessageTokens(m), priority: i }))
+    };
+    // 本次输入不可裁剪；通常已是最近对话的最后一条（由 minItems 保证保留），否则单独计入
+    const last = recent[recent.length - 1];
+    const inputIncluded = last && last.role === 'user' && last.text === userMessage.text;
+    const report = allocateContext(sections, inputIncluded ? 0 : estimateMessageTokens(userMessage));
+
+    let trimmedPersona = persona;
+    if (persona) {
+      trimmedPersona = { ...persona };
+      for (const f of PERSONA_FIELDS) if (!report.included.persona.includes(f)) delete trimmedPersona[f];
+    }
     const payload = {
-      recent_messages: recent,
-      memory_chunks: relevant,
+      recent_messages: report.included.recent,
+      memory_chunks: report.included.chunks,
+      pinned_memories: report.included.pinned,
+      facts: report.included.facts,
       user_message: userMessage,
-      meta: {recentN: this.recentN}
+      persona: trimmedPersona,
+      attachments: await this._pendingAttachments(),
+      ...(options.proactive ? { proactive: { ...options.proactive, local_time: new Date().toTimeString().slice(0, 5) } } : {}),
+      meta: { recentN: this.recentN, conversationId: this.conversationId, contextTokens: report.totalTokens, contextBudget: report.budget }
     };
     // 保存最后一次payload用于调试显示
     this._lastPayload = payload;
+    this._lastContextReport = report;
     this._updateDebugPanel();
     return payload;
   },
 
+  // 置顶 / 取消置顶消息对应的记忆，返回置顶后的状态；消息没有对应记忆时返回 null
+  togglePinMessage(messageId) {
+    const memory = this.memorySystem ? this.memorySystem.memoryForMessage(messageId) : null;
+    if (!memory) return null;
+    const pinned = !memory.pinned;
+    this.memorySystem.setPinned(memory, pinned);
+    this._markPinnedBubbles();
+    return pinned;
+  },
+
+  _pinnedMessageIds() {
+    const ids = new Set();
+    for (const m of this.memorySystem ? this.memorySystem.pinnedMemories() : []) {
+      if (m.content && m.content.id) ids.add(m.content.id);
+      for (const id of m.sourceIds || []) ids.add(id);
+    }
+    return ids;
+  },
+
+  _markPinnedBubbles() {
+    if (!this.chatMessagesEl) return;
+    const ids = this._pinnedMessageIds();
+    this.chatMessagesEl.querySelectorAll('.message[data-msg-id]').forEach(el => {
+      el.classList.toggle('pinned', ids.has(el.dataset.msgId));
+    });
+  },
+
   // call this when a new user message accepted by UI (so ChatManager updates internal state)
-  onUserMessage(text) {
-    const m = { role: 'user', text, ts: Date.now() };
+  // 返回写入的消息对象，调用方可用 m.id 标记对应的气泡
+  // extra.media：图片 / 表情消息引用的媒体 {id, kind, mime, width, height}
+  onUserMessage(text, extra = {}) {
+    const m = { id: newMessageId(), role: 'user', text, ts: Date.now(), status: 'sending' };
+    if (extra.media) m.media = extra.media;
     this.messages.push(m);
     this.messagesSinceLastSummarize += 1;
 
@@ -738,15 +2850,20 @@ const ChatManager = {
       });
     }
 
+    if (!m.media) this._queueFactExtraction(m);
+
     // backup（去抖，避免频繁写入）
     this._scheduleBackupSoon();
     // 更新调试面板
     this._updateDebugPanel();
+    return m;
   },
 
   // 同步助手回复到状态（用于确保立即备份，避免刷新丢失最后一轮回复）
-  onAssistantMessage(text) {
-    const m = { role: 'assistant', text, ts: Date.now() };
+  // 流式回复每个完整气泡调用一次；extra.partial 表示流被中断时保留的不完整内容
+  onAssistantMessage(text, extra = {}) {
+    const m = { id: newMessageId(), role: 'assistant', text, ts: Date.now() };
+    if (extra.partial) m.partial = true;
     this.messages.push(m);
 
     if (this.memorySystem) {
@@ -760,6 +2877,598 @@ const ChatManager = {
     // 去抖备份
     this._scheduleBackupSoon();
     this._updateDebugPanel();
+    return m;
+  },
+
+  // ---------------- 待发送队列 ----------------
+  // 请求回复失败时不写入任何占位回复：用户消息标记为发送失败，进入待发送队列按退避自动重试
+
+  _createOutbox() {
+    return new Outbox({
+      load: () => idbGet(BACKUP_STORE, OUTBOX_KEY),
+      save: (items) => idbPut(BACKUP_STORE, OUTBOX_KEY, items),
+      // 只有写入者重试，避免多个标签页重复请求同一条消息的回复
+      eligible: (item) => item.conversationId === this.conversationId && this.tabSync.isLeader,
+      onDue: () => this._retryDue()
+    });
+  },
+
+  // 等待回复的我的消息：最后一条助手消息之后的用户消息
+  _awaitingReply() {
+    const lastAssistant = this.messages.map(m => m.role).lastIndexOf('assistant');
+    return this.messages.slice(lastAssistant + 1).filter(m => m.role === 'user');
+  },
+
+  // 页面收到聊天接口的响应（尚未收到回复内容）时调用：发送中的消息标记为已送达
+  onReplyAccepted() {
+    for (const m of this._awaitingReply()) {
+      if (m.status !== 'sending') continue;
+      m.status = 'sent';
+      this._renderDeliveryStatus(m);
+    }
+  },
+
+  // 页面请求回复失败时调用：最后一条用户消息进入待发送队列
+  async onSendFailed(error) {
+    const m = this.messages[this.messages.length - 1];
+    if (!m || m.role !== 'user' || !this.outbox) return null;
+    m.status = 'failed';
+    const item = await this.outbox.fail(this.conversationId, m.id, error);
+    this._renderDeliveryStatus(m);
+    this._scheduleBackupSoon();
+    return item;
+  },
+
+  // 页面开始收到回复时调用：等待回复的消息标记为已读；
+  // 之前失败的消息已作为最近对话一并发送，清除本会话的待发送条目
+  async onReplyDelivered() {
+    // 先取等待回复的消息：回复气泡可能在清理队列期间写入 messages
+    const read = this._awaitingReply();
+    const cleared = this.outbox ? await this.outbox.clear(this.conversationId) : [];
+    for (const id of cleared) {
+      const m = this.messages.find(x => x.id === id);
+      if (m && !read.includes(m)) read.push(m);
+    }
+    for (const m of read) {
+      m.status = 'read';
+      this._renderDeliveryStatus(m);
+    }
+    if (read.length) this._scheduleBackupSoon();
+  },
+
+  // 重试到期：重新请求会话末尾那条用户消息的回复（更早失败的消息包含在最近对话中）
+  async _retryDue() {
+    const { requestReply, isReplying } = this.initOptions;
+    if (!this.outbox.due().length || typeof requestReply !== 'function') return;
+    if (navigator.onLine === false) return; // 网络恢复时 Outbox 会立即重试
+    if (typeof isReplying === 'function' && isReplying()) {
+      setTimeout(() => this._retryDue(), RETRY_BUSY_DELAY);
+      return;
+    }
+    const last = this.messages[this.messages.length - 1];
+    if (!last || last.role !== 'user' || !this.outbox.get(last.id)) {
+      await this.onReplyDelivered(); // 失败的消息之后已经收到过回复
+      return;
+    }
+    last.status = 'sending';
+    this._renderDeliveryStatus(last);
+    await requestReply(last.text);
+  },
+
+  // 更新气泡的发送状态（data-status，状态文字由样式显示）；发送失败时显示重试标记，点击立即重试
+  _renderDeliveryStatus(m) {
+    const el = this._messageEl(m.id);
+    if (!el) return;
+    if (m.status) el.dataset.status = m.status;
+    else delete el.dataset.status;
+    this._markLastSent();
+    const failed = m.status === 'failed';
+    el.classList.toggle('failed', failed);
+    let badge = el.querySelector('.retry-badge');
+    if (!failed) {
+      if (badge) badge.remove();
+      return;
+    }
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'retry-badge';
+      badge.textContent = '!';
+      badge.title = '发送失败，将自动重试。点击立即重试';
+      badge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (this.outbox) this.outbox.retryNow();
+      });
+      el.insertBefore(badge, el.firstChild);
+    }
+  },
+
+  // 与微信一致，只在我最后一条消息下常驻显示送达 / 已读
+  _markLastSent() {
+    if (!this.chatMessagesEl) return;
+    const mine = this.chatMessagesEl.querySelectorAll('.message.me[data-status]');
+    this.chatMessagesEl.querySelectorAll('.message.last-sent').forEach(el => el.classList.remove('last-sent'));
+    if (mine.length) mine[mine.length - 1].classList.add('last-sent');
+  },
+
+  // ---------------- 图片与表情 ----------------
+  // 媒体文件以 Blob 保存在 media 存储区（static/mediaStore.js），消息只记录 media.id
+
+  // 媒体的 object URL（按 id 缓存）；文件已丢失时返回 null
+  async mediaUrl(id) {
+    if (this._mediaUrls.has(id)) return this._mediaUrls.get(id);
+    let record = null;
+    try { record = await getMedia(id); } catch (e) { console.warn('load media failed', e); }
+    if (!record || !record.blob) return null;
+    const url = URL.createObjectURL(record.blob);
+    this._mediaUrls.set(id, url);
+    return url;
+  },
+
+  _releaseMediaUrls() {
+    for (const url of this._mediaUrls.values()) URL.revokeObjectURL(url);
+    this._mediaUrls.clear();
+  },
+
+  // 页面渲染图片 / 表情气泡时调用：异步填充 <img>，文件已丢失时显示提示
+  async loadMediaInto(img, id) {
+    const url = await this.mediaUrl(id);
+    if (url) {
+      img.src = url;
+    } else {
+      img.replaceWith(Object.assign(document.createElement('span'), { className: 'media-missing', textContent: '[图片已丢失]' }));
+    }
+  },
+
+  // 写入一条媒体消息：source 为用户选择的图片文件（kind 'image'）、收藏表情的 id（kind 'sticker'），
+  // 或录音 { blob, mime, duration, text }（kind 'voice'，text 为确认后的识别结果）。
+  // 返回写入的用户消息（页面随后渲染并请求回复），失败时提示并返回 null
+  async addMediaMessage(source, kind = 'image') {
+    let record;
+    try {
+      if (kind === 'voice') {
+        record = await saveMedia({ conversationId: this.conversationId, kind: 'voice', mime: source.mime, duration: source.duration, blob: source.blob });
+      } else if (kind === 'sticker') {
+        record = await copyMedia(source, this.conversationId, 'sticker');
+        if (!record) throw new Error('表情已被删除');
+      } else {
+        const image = await readImageFile(source, 'image');
+        record = await saveMedia({ ...image, conversationId: this.conversationId, kind: 'image' });
+      }
+    } catch (e) {
+      alert('发送失败：' + (e.message || e));
+      return null;
+    }
+    const media = normalizeMedia(record);
+    const text = (kind === 'voice' && String(source.text || '').trim()) || MEDIA_TEXT[media.kind];
+    return this.onUserMessage(text, { media });
+  },
+
+  // 待回复的图片 / 表情以 data URL 随 structured_context.attachments 发送
+  async _pendingAttachments() {
+    const attachments = [];
+    // 语音以识别结果作为文字发送，不作为附件
+    for (const m of this._awaitingReply().filter(x => x.media && x.media.kind !== 'voice').slice(-MAX_ATTACHMENTS)) {
+      try {
+        const record = await getMedia(m.media.id);
+        if (!record || !record.blob) continue;
+        attachments.push({ message_id: m.id, kind: m.media.kind, mime: record.mime, width: record.width, height: record.height, data_url: await blobToDataUrl(record.blob) });
+      } catch (e) {
+        console.warn('load attachment failed', e);
+      }
+    }
+    return attachments;
+  },
+
+  async saveMessageAsSticker(messageId) {
+    const m = this.messages.find(x => x.id === messageId);
+    if (!m || !m.media || m.media.kind === 'voice') return false;
+    return !!(await copyMedia(m.media.id, STICKER_COLLECTION, 'sticker'));
+  },
+
+  // 播放 / 停止语音消息；el 为气泡中的语音条，播放时带 playing 标记
+  async playVoice(mediaId, el) {
+    if (this.speechQueue) this.speechQueue.stop();
+    const current = this._voicePlayer;
+    if (current) {
+      current.audio.pause();
+      current.el.classList.remove('playing');
+      this._voicePlayer = null;
+      if (current.el === el) return; // 再次点击正在播放的语音：停止
+    }
+    const url = await this.mediaUrl(mediaId);
+    if (!url) {
+      alert('这条语音的录音已不在本机');
+      return;
+    }
+    const audio = new Audio(url);
+    const player = { audio, el };
+    const done = () => {
+      el.classList.remove('playing');
+      if (this._voicePlayer === player) this._voicePlayer = null;
+    };
+    audio.addEventListener('ended', done);
+    audio.addEventListener('error', done);
+    this._voicePlayer = player;
+    el.classList.add('playing');
+    audio.play().catch(done);
+  },
+
+  // ---------------- 朗读 ----------------
+
+  _createSpeechQueue() {
+    const { audioEl, synthesizeSpeech } = this.initOptions;
+    if (!audioEl || typeof synthesizeSpeech !== 'function') return null;
+    return new SpeechQueue({
+      audio: audioEl,
+      synthesize: (text, item) => synthesizeSpeech(text, { download: !!item.manual }), // 自动朗读不触发自动下载
+      rate: parseFloat(localStorage.getItem('ttsRate') || '1'),
+      onState: (item, state) => this._setSpeechState(item.el, state),
+      onChange: () => this._renderSpeechBar(),
+      onError: (item, error) => {
+        console.warn('朗读失败:', error);
+        if (item.manual) alert('语音合成失败，请检查后端服务。');
+      }
+    });
+  },
+
+  // 手动“转语音”：停止正在朗读的内容并播放这一条；再次点击正在朗读的气泡则停止
+  speakMessage(el, text) {
+    const queue = this.speechQueue;
+    if (!queue) return;
+    if (queue.current && queue.current.el === el) {
+      queue.stop();
+      return;
+    }
+    const voice = this._voicePlayer; // 停止正在播放的语音消息
+    if (voice) {
+      voice.audio.pause();
+      voice.el.classList.remove('playing');
+      this._voicePlayer = null;
+    }
+    queue.playNow(el, text, { manual: true });
+  },
+
+  // 新的助手气泡完成时由页面调用：开启自动朗读时加入朗读队列
+  queueAutoRead(el, text) {
+    if (!this.autoRead || !this.speechQueue) return;
+    this.speechQueue.enqueue(el, text);
+  },
+
+  setAutoRead(on) {
+    this.autoRead = !!on;
+    localStorage.setItem('autoRead', this.autoRead);
+    if (!this.autoRead && this.speechQueue) this.speechQueue.stop();
+  },
+
+  // 气泡的朗读状态：排队中 / 生成中 / 正在播放（高亮），按钮文字随之变化
+  _setSpeechState(el, state) {
+    if (!el) return;
+    el.classList.toggle('tts-queued', state === 'queued');
+    el.classList.toggle('tts-loading', state === 'loading');
+    el.classList.toggle('speaking', state === 'playing');
+    const button = el.querySelector('.tts-button');
+    if (button) button.textContent = state === 'loading' ? '加载语音...' : state === 'playing' ? '停止' : '转语音';
+    if (state === 'playing' && this.chatMessagesEl && el.parentNode === this.chatMessagesEl) {
+      el.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  },
+
+  // 朗读控制条：跳过、停止与播放速度；队列为空时隐藏
+  _renderSpeechBar() {
+    const queue = this.speechQueue;
+    if (!queue || !queue.active) {
+      if (this._speechBar) this._speechBar.style.display = 'none';
+      return;
+    }
+    if (!this._speechBar) {
+      const bar = document.createElement('div');
+      Object.assign(bar.style, {
+        position:'fixed',left:'50%',bottom:'70px',transform:'translateX(-50%)',zIndex:1400,background:'#1a1a1a',color:'#fff',
+        padding:'6px 10px',borderRadius:'8px',display:'flex',alignItems:'center',gap:'8px',fontSize:'13px',boxShadow:'0 2px 8px rgba(0,0,0,0.3)'
+      });
+      const label = document.createElement('span');
+      const skipBtn = document.createElement('button');
+      skipBtn.textContent = '跳过';
+      skipBtn.addEventListener('click', () => queue.skip());
+      const stopBtn = document.createElement('button');
+      stopBtn.textContent = '停止';
+      stopBtn.addEventListener('click', () => queue.stop());
+      const rateSelect = document.createElement('select');
+      for (const rate of PLAYBACK_RATES) {
+        const opt = document.createElement('option');
+        opt.value = String(rate);
+        opt.textContent = rate + 'x';
+        rateSelect.appendChild(opt);
+      }
+      rateSelect.addEventListener('change', () => {
+        queue.setRate(rateSelect.value);
+        localStorage.setItem('ttsRate', String(queue.rate));
+      });
+      bar.append(label, skipBtn, stopBtn, rateSelect);
+      document.body.appendChild(bar);
+      this._speechBar = bar;
+      this._speechBarLabel = label;
+      this._speechBarRate = rateSelect;
+    }
+    const waiting = queue.items.length;
+    this._speechBarLabel.textContent = '🔊 正在朗读' + (waiting ? `（还有 ${waiting} 条）` : '');
+    this._speechBarRate.value = String(queue.rate);
+    this._speechBar.style.display = 'flex';
+  },
+
+  // 按住说话：按下开始录音，松开后识别并确认文字，作为语音消息发送；按住时手指移出按钮再松开则取消。
+  // 识别由页面的 initOptions.transcribeAudio(blob, mime) 请求 /api/stt，发送由 initOptions.sendMedia(source, 'voice') 完成
+  _bindVoiceButton(button) {
+    if (!voiceSupported()) {
+      button.style.display = 'none';
+      return;
+    }
+    const idleLabel = button.textContent;
+    const recorder = new VoiceRecorder({ onLimit: () => finish(true) });
+    let cancelled = false;
+    let active = false;
+    const setLabel = () => {
+      button.textContent = !active ? idleLabel : (cancelled ? '松开 取消' : '松开 发送');
+      button.classList.toggle('recording', active);
+      button.classList.toggle('cancelling', active && cancelled);
+    };
+    const finish = async (send) => {
+      if (!active) return;
+      active = false;
+      setLabel();
+      if (!send || cancelled) {
+        await recorder.cancel();
+        return;
+      }
+      const clip = await recorder.stop();
+      if (!clip) return; // 太短，视为误触
+      const { transcribeAudio, sendMedia } = this.initOptions;
+      let transcript = '';
+      if (typeof transcribeAudio === 'function') {
+        try {
+          transcript = (await transcribeAudio(clip.blob, clip.mime)) || '';
+        } catch (e) {
+          console.warn('语音识别失败:', e);
+        }
+      }
+      const text = prompt(transcript ? '识别结果（可修改后发送）：' : '没有识别出文字，可以手动输入（留空则只发送语音）：', transcript);
+      if (text === null || typeof sendMedia !== 'function') return;
+      await sendMedia({ ...clip, text: text.trim() }, 'voice');
+    };
+
+    button.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || active) return;
+      const { isReplying } = this.initOptions;
+      if (typeof isReplying === 'function' && isReplying()) return; // 上一条回复仍在输出中
+      e.preventDefault();
+      button.setPointerCapture(e.pointerId);
+      active = true;
+      cancelled = false;
+      setLabel();
+      recorder.start().catch((err) => {
+        active = false;
+        setLabel();
+        alert('无法录音：' + (err.message || err));
+      });
+    });
+    // 指针被按钮捕获，移出按钮时仍会收到事件：据此切换“松开取消”
+    button.addEventListener('pointermove', (e) => {
+      if (!active) return;
+      const r = button.getBoundingClientRect();
+      const outside = e.clientX < r.left || e.clientX > r.right || e.clientY < r.top - 20 || e.clientY > r.bottom;
+      if (outside !== cancelled) {
+        cancelled = outside;
+        setLabel();
+      }
+    });
+    button.addEventListener('pointerup', () => finish(true));
+    button.addEventListener('pointercancel', () => finish(false));
+    button.addEventListener('contextmenu', (e) => e.preventDefault()); // 长按时不弹出系统菜单
+  },
+
+  // 表情面板：点击收藏的表情调用 onPick(id)；可从图片添加表情，右键或长按删除
+  async showStickerPanel(onPick) {
+    const modal = document.createElement('div');
+    Object.assign(modal.style, {
+      position: 'fixed', zIndex: 1800, left:0,top:0,right:0,bottom:0,display:'flex',alignItems:'flex-end',justifyContent:'center',background:'rgba(0,0,0,0.3)'
+    });
+    const box = document.createElement('div');
+    Object.assign(box.style, {background:'#f7f7f7',padding:'12px',borderRadius:'8px 8px 0 0',width:'100%',maxWidth:'600px',maxHeight:'45vh',overflowY:'auto',boxSizing:'border-box'});
+    modal.appendChild(box);
+    const close = () => {
+      if (modal.parentNode) document.body.removeChild(modal);
+      urls.forEach(url => URL.revokeObjectURL(url));
+    };
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+    const urls = [];
+    const fileInput = Object.assign(document.createElement('input'), { type: 'file', accept: 'image/*', multiple: true });
+    fileInput.style.display = 'none';
+    box.appendChild(fileInput);
+    const grid = document.createElement('div');
+    Object.assign(grid.style, {display:'grid',gridTemplateColumns:'repeat(auto-fill, minmax(64px, 1fr))',gap:'8px'});
+    box.appendChild(grid);
+
+    const tile = () => {
+      const t = document.createElement('div');
+      Object.assign(t.style, {width:'64px',height:'64px',display:'flex',alignItems:'center',justifyContent:'center',background:'#fff',borderRadius:'6px',cursor:'pointer',overflow:'hidden'});
+      return t;
+    };
+    const render = async () => {
+      grid.innerHTML = '';
+      const add = tile();
+      Object.assign(add.style, {border:'1px dashed #bbb',color:'#999',fontSize:'28px'});
+      add.textContent = '+';
+      add.title = '添加表情';
+      add.addEventListener('click', () => fileInput.click());
+      grid.appendChild(add);
+      let stickers = [];
+      try { stickers = await listStickers(); } catch (e) { console.warn('load stickers failed', e); }
+      for (const s of stickers) {
+        const t = tile();
+        const img = document.createElement('img');
+        const url = URL.createObjectURL(s.blob);
+        urls.push(url);
+        Object.assign(img, { src: url, alt: '表情' });
+        Object.assign(img.style, {maxWidth:'100%',maxHeight:'100%'});
+        t.appendChild(img);
+        t.addEventListener('click', () => { close(); onPick(s.id); });
+        t.addEventListener('contextmenu', async (e) => {
+          e.preventDefault();
+          if (!confirm('从收藏中删除这个表情？已发送的消息不受影响。')) return;
+          await deleteMedia(s.id);
+          render();
+        });
+        grid.appendChild(t);
+      }
+      if (!stickers.length) {
+        const hint = document.createElement('div');
+        Object.assign(hint.style, {gridColumn:'1 / -1',color:'#999',fontSize:'13px'});
+        hint.textContent = '还没有收藏的表情。点击“+”从图片添加，或右键 / 长按聊天中的图片选择“添加到表情”。';
+        grid.appendChild(hint);
+      }
+    };
+    fileInput.addEventListener('change', async () => {
+      for (const file of fileInput.files) {
+        try {
+          const image = await readImageFile(file, 'sticker');
+          await saveMedia({ ...image, conversationId: STICKER_COLLECTION, kind: 'sticker' });
+        } catch (e) {
+          alert(`无法添加 ${file.name}：${e.message || e}`);
+        }
+      }
+      fileInput.value = '';
+      render();
+    });
+    await render();
+    document.body.appendChild(modal);
+  },
+
+  // ---------------- 时间分隔 ----------------
+  // 与导出一致：第一条消息前、跨天或与上一条间隔超过 5 分钟时，在气泡前显示居中的时间
+
+  // 页面每渲染一个气泡调用一次：按需在它前面插入时间分隔（气泡的 data-ts 为消息时间）
+  placeTimeSeparator(el) {
+    if (!el || !el.dataset.ts || !el.parentNode) return;
+    let prev = el.previousElementSibling;
+    if (prev && prev.classList.contains('time-separator')) {
+      prev.remove();
+      prev = el.previousElementSibling;
+    }
+    while (prev && !(prev.classList.contains('message') && prev.dataset.ts)) prev = prev.previousElementSibling;
+    const ts = Number(el.dataset.ts);
+    if (!needsTimeSeparator(prev ? Number(prev.dataset.ts) : null, ts)) return;
+    const sep = document.createElement('div');
+    sep.className = 'time-separator';
+    const label = document.createElement('span');
+    label.textContent = formatTimeLabel(ts);
+    sep.appendChild(label);
+    el.parentNode.insertBefore(sep, el);
+  },
+
+  // 气泡被插入到中间或删除后重新计算全部时间分隔
+  refreshTimeSeparators() {
+    if (!this.chatMessagesEl) return;
+    this.chatMessagesEl.querySelectorAll('.time-separator').forEach(sep => sep.remove());
+    this.chatMessagesEl.querySelectorAll('.message[data-ts]').forEach(el => this.placeTimeSeparator(el));
+  },
+
+  // ---------------- 用户资料 ----------------
+
+  _queueFactExtraction(m) {
+    this._pendingFactMessages.push(m);
+    if (this._factTimer) clearTimeout(this._factTimer);
+    this._factTimer = setTimeout(() => {
+      this._factTimer = null;
+      this.extractPendingFacts();
+    }, FACT_EXTRACT_DELAY);
+  },
+
+  // 从待处理的用户消息中提取资料：优先调用 /api/extract-facts，失败时用本地规则
+  async extractPendingFacts() {
+    const store = this.factStore;
+    const batch = this._pendingFactMessages.filter(m => this.messages.includes(m));
+    this._pendingFactMessages = [];
+    if (!store || !batch.length) return null;
+    const messages = batch.map(m => ({ id: m.id, text: m.text, ts: m.ts }));
+    let facts = null;
+    try {
+      const resp = await fetch('/api/extract-facts', {
+        method: 'POST', headers: {'Content-Type':'application/json'},
+        body: JSON.stringify({ messages, known: store.list().map(f => ({ key: f.key, value: f.value })) })
+      });
+      if (resp.ok) {
+        const data = await resp.json();
+        if (Array.isArray(data.facts)) facts = sanitizeFacts(data.facts, messages);
+      }
+    } catch (e) {
+      console.warn('extract facts failed, using local rules', e);
+    }
+    if (!facts) facts = extractFacts(messages);
+    if (store !== this.factStore) return null; // 提取期间切换了会话
+    const result = store.upsert(facts);
+    if (result.added.length || result.confirmed.length || result.replaced.length || result.rejected.length) {
+      this._log('[facts]', result);
+      this._scheduleBackupSoon();
+    }
+    return result;
+  },
+
+  // 用户资料面板：查看、修改或删除记住的资料
+  showFactsPanel() {
+    const modal = document.createElement('div');
+    Object.assign(modal.style, {
+      position: 'fixed', zIndex: 2000, left:0,top:0,right:0,bottom:0,display:'flex',alignItems:'center',justifyContent:'center',background:'rgba(0,0,0,0.5)'
+    });
+    const box = document.createElement('div');
+    Object.assign(box.style, {background:'#fff',padding:'16px',borderRadius:'8px',width:'90%',maxWidth:'460px',maxHeight:'80vh',overflowY:'auto',fontSize:'14px'});
+    modal.appendChild(box);
+    const close = () => { if (modal.parentNode) document.body.removeChild(modal); };
+    modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+
+    const render = () => {
+      box.innerHTML = '<div style="font-weight:bold;margin-bottom:4px;">记住的资料</div>' +
+        '<div style="color:#999;font-size:12px;margin-bottom:8px;">从你的消息中自动整理，每次聊天都会提供给对方。修改过的资料可信度为 100%。</div>';
+      const facts = this.factStore ? this.factStore.list() : [];
+      if (!facts.length) box.insertAdjacentHTML('beforeend', '<div style="color:#999;padding:12px 0;">还没有记住任何资料</div>');
+      for (const f of facts) {
+        const row = document.createElement('div');
+        Object.assign(row.style, {display:'flex',alignItems:'center',gap:'8px',padding:'6px 0',borderTop:'1px solid #eee'});
+        const info = document.createElement('div');
+        info.style.flex = '1';
+        const label = document.createElement('div');
+        label.textContent = `${this.factStore.label(f)}：${f.value}`;
+        const detail = document.createElement('div');
+        Object.assign(detail.style, {color:'#999',fontSize:'12px'});
+        detail.textContent = `可信度 ${Math.round(f.confidence * 100)}% · 最近确认 ${new Date(f.lastConfirmed).toLocaleDateString()}` +
+          (f.previous.length ? ` · 曾为 ${f.previous.map(p => p.value).join('、')}` : '');
+        info.append(label, detail);
+        const edit = document.createElement('button');
+        edit.textContent = '修改';
+        edit.addEventListener('click', () => {
+          const value = prompt(`修改“${this.factStore.label(f)}”：`, f.value);
+          if (value === null || !this.factStore.setValue(f.id, value)) return;
+          this._scheduleBackupSoon();
+          render();
+        });
+        const del = document.createElement('button');
+        del.textContent = '删除';
+        del.addEventListener('click', () => {
+          this.factStore.remove(f.id);
+          this._scheduleBackupSoon();
+          render();
+        });
+        row.append(info, edit, del);
+        box.appendChild(row);
+      }
+      const closeBtn = document.createElement('button');
+      closeBtn.textContent = '关闭';
+      closeBtn.style.marginTop = '10px';
+      closeBtn.addEventListener('click', close);
+      box.appendChild(closeBtn);
+    };
+
+    render();
+    document.body.appendChild(modal);
   },
 
   // 手动触发一次备份（用于调试或快速保存）
@@ -1,21 +1,31 @@
 // chat.js
 import { MemorySystem } from './memorySystem.js';
+import { loadMemoryLayers, applyMemoryChange, replaceMemories } from './memoryStore.js';
+
+const LEGACY_BACKUP_KEY = 'chatMemoryBackup'; // 旧版 localStorage 备份，仅用于一次性迁移
 
 const ChatManager = {
     messages: [],
     memorySystem: null,
+    conversationId: null,
     recentN: 25,
     
     async init() {
         // 初始化记忆系统
         this.memorySystem = new MemorySystem();
+        this.conversationId = localStorage.getItem('activeConversationId') || 'default';
         console.log('记忆系统初始化完成');
         
         // 恢复之前的记忆（如果有）
-        const backup = await this._loadBackup();
-        if (backup) {
-            await this.memorySystem.importMemories(backup);
-        }
+        await this._loadBackup();
+
+        // 每次变更都写入 IndexedDB
+        this.memorySystem.subscribe(change => {
+            const write = change.reset
+                ? replaceMemories(this.conversationId, this.memorySystem)
+                : applyMemoryChange(this.conversationId, this.memorySystem, change);
+            write.catch(e => console.warn('保存记忆失败:', e));
+        });
     },
     
     // 添加新消息
@@ -62,14 +72,24 @@ const ChatManager = {
         console.log('当前状态:', stats);
     },
     
-    // 私有方法：加载备份
+    // 私有方法：从 IndexedDB 加载记忆；存储区为空时迁移旧版 localStorage 备份
     async _loadBackup() {
         try {
-            const backup = localStorage.getItem('chatMemoryBackup');
-            return backup ? JSON.parse(backup) : null;
+            const layers = await loadMemoryLayers(this.conversationId);
+            if (layers) {
+                this.memorySystem.loadLayers(layers);
+                return true;
+            }
+            const legacy = localStorage.getItem(LEGACY_BACKUP_KEY);
+            const data = legacy ? JSON.parse(legacy) : null;
+            if (!data || !data.layers) return false;
+            this.memorySystem.loadLayers(data.layers);
+            await replaceMemories(this.conversationId, this.memorySystem);
+            localStorage.removeItem(LEGACY_BACKUP_KEY);
+            return true;
         } catch (e) {
             console.warn('加载备份失败:', e);
-            return null;
+            return false;
         }
     }
 };
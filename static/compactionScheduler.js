@@ -0,0 +1,130 @@
+// compactionScheduler.js
+// 按 MEMORY_CONFIG.compressionSchedule 的墙钟时间执行每日/每周记忆压缩。
+// 记录每种任务上次运行的时间；页面在计划时间未打开时，下次加载会补跑。
+
+import { MEMORY_CONFIG } from './config.js';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_TIMEOUT = 2 ** 31 - 1; // setTimeout 的最大延迟
+const MAX_REPORTS = 20;
+
+// 解析 'HH:MM' 或 'Sun-HH:MM'
+export function parseScheduleTime(spec) {
+    const m = /^(?:([A-Za-z]{3})-)?(\d{1,2}):(\d{2})$/.exec(String(spec || '').trim());
+    if (!m) throw new Error(`无法解析压缩时间: ${spec}`);
+    const day = m[1] ? DAY_NAMES.findIndex(d => d.toLowerCase() === m[1].toLowerCase()) : null;
+    if (day === -1) throw new Error(`无法解析星期: ${m[1]}`);
+    return { day, hour: parseInt(m[2], 10), minute: parseInt(m[3], 10) };
+}
+
+// 不晚于 now 的最近一次计划时间（本地时区）
+export function lastOccurrence(spec, now = Date.now()) {
+    const { day, hour, minute } = parseScheduleTime(spec);
+    const d = new Date(now);
+    d.setHours(hour, minute, 0, 0);
+    if (day !== null) d.setDate(d.getDate() - ((d.getDay() - day + 7) % 7));
+    if (d.getTime() > now) d.setDate(d.getDate() - (day !== null ? 7 : 1));
+    return d.getTime();
+}
+
+// 晚于 now 的下一次计划时间
+export function nextOccurrence(spec, now = Date.now()) {
+    const { day } = parseScheduleTime(spec);
+    const d = new Date(lastOccurrence(spec, now));
+    d.setDate(d.getDate() + (day !== null ? 7 : 1));
+    return d.getTime();
+}
+
+export class CompactionScheduler {
+    // jobs: { daily: async () => report, weekly: async () => report }
+    // loadState / saveState：按作用域（会话 id）读写 { daily: {lastRun}, weekly: {lastRun}, reports: [] }
+    constructor({ jobs, loadState, saveState, onReport, schedule = MEMORY_CONFIG.compressionSchedule }) {
+        this.jobs = jobs;
+        this.loadState = loadState;
+        this.saveState = saveState;
+        this.onReport = onReport || (() => {});
+        this.specs = { weekly: schedule.weeklyTime, daily: schedule.dailyTime };
+        this.scope = null;
+        this.state = null;
+        this._timer = null;
+        this._running = null;
+        this._onVisible = () => {
+            if (document.visibilityState === 'visible') this.catchUp();
+        };
+    }
+
+    // 切换作用域（例如切换会话）：读取状态、补跑错过的任务并重新定时
+    async start(scope) {
+        this.stop();
+        if (this._running) {
+            try { await this._running; } catch (_) {}
+        }
+        this.scope = scope;
+        this.state = (await this.loadState(scope)) || { daily: null, weekly: null, reports: [] };
+        if (typeof document !== 'undefined') document.addEventListener('visibilitychange', this._onVisible);
+        await this.catchUp();
+    }
+
+    stop() {
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+        if (typeof document !== 'undefined') document.removeEventListener('visibilitychange', this._onVisible);
+    }
+
+    // 运行所有到期（上次运行早于最近一次计划时间）的任务；每周任务先于每日任务
+    async catchUp() {
+        if (this._running) return this._running;
+        const scope = this.scope;
+        this._running = (async () => {
+            const now = Date.now();
+            for (const kind of ['weekly', 'daily']) {
+                const last = this.state[kind] && this.state[kind].lastRun;
+                if (!last || last < lastOccurrence(this.specs[kind], now)) {
+                    await this.run(kind, scope);
+                }
+            }
+        })();
+        try {
+            await this._running;
+        } finally {
+            this._running = null;
+            if (scope === this.scope) this._arm();
+        }
+    }
+
+    // 立即执行一次任务并记录
+    async run(kind, scope = this.scope) {
+        const startedAt = Date.now();
+        let report;
+        try {
+            report = { ...(await this.jobs[kind]()), ok: true };
+        } catch (e) {
+            console.warn(`记忆压缩（${kind}）失败:`, e);
+            report = { ok: false, error: String(e && e.message || e) };
+        }
+        // 运行期间作用域已切换时丢弃结果，避免写到其他会话
+        if (scope !== this.scope) return report;
+        report = { kind, startedAt, finishedAt: Date.now(), ...report };
+        this.state[kind] = { lastRun: startedAt };
+        this.state.reports = [report, ...(this.state.reports || [])].slice(0, MAX_REPORTS);
+        try {
+            await this.saveState(scope, this.state);
+        } catch (e) {
+            console.warn('保存压缩状态失败:', e);
+        }
+        this.onReport(report);
+        return report;
+    }
+
+    // 定时到下一次最早的计划时间
+    _arm() {
+        if (this._timer) clearTimeout(this._timer);
+        const now = Date.now();
+        const next = Math.min(...Object.values(this.specs).map(spec => nextOccurrence(spec, now)));
+        this._timer = setTimeout(() => this.catchUp(), Math.min(next - now + 1000, MAX_TIMEOUT));
+    }
+
+    lastReport() {
+        return (this.state && this.state.reports && this.state.reports[0]) || null;
+    }
+}
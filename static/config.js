@@ -6,9 +6,17 @@ export const DB_CONFIG = {
     stores: {
         handles: 'file_handles',
         backups: 'backups',
-        memories: 'memories'
+        memories: 'memories',
+        media: 'media',
+        tts: 'tts_cache'
     },
-    version: 2
+    version: 4
+};
+
+// 语音合成缓存（ttsCache.js）：超过任一上限时淘汰最久未播放的语音
+export const TTS_CACHE = {
+    maxBytes: 50 * 1024 * 1024,              // 50MB
+    maxEntries: 500
 };
 
 export const MEMORY_CONFIG = {
@@ -34,4 +42,28 @@ export const MEMORY_CONFIG = {
         minMessages: 30,                      // 触发总结的最小消息数
         maxTokens: 300                        // 摘要最大token数
     }
-};
\ No newline at end of file
+};
+
+// 发送给模型的上下文预算（tokens 由 tokenizer.js 估算）
+// 总预算在人设、置顶记忆、检索到的记忆和最近对话之间分配；每部分有自己的上限，
+// 合计超出总预算时按 trimOrder 依次裁剪各部分中优先级最低的条目
+export const CONTEXT_BUDGET = {
+    total: 3000,                              // 上下文总预算（含本次输入，不含模型回复）
+    retrieveK: 6,                             // 检索候选记忆条数，放不下的按相关度从低到高丢弃
+    sections: {
+        persona: { max: 800, minItems: 1 },   // 人设：提示词 > 说话风格 > 示例对话
+        facts: { max: 300 },                  // 用户资料：与本次输入相关的优先，其次按可信度
+        pinned: { max: 500 },                 // 置顶记忆：越晚置顶越优先
+        chunks: { max: 800 },                 // 检索记忆：相关度越高越优先
+        recent: { max: 1800, minItems: 2, contiguous: true } // 最近对话：从最新往前连续保留
+    },
+    trimOrder: ['chunks', 'recent', 'pinned', 'facts', 'persona']
+};
+
+// 主动消息（proactiveScheduler.js）：用户同意后，人设在设定的早安时间或长时间没有聊天时主动发消息
+export const PROACTIVE_CONFIG = {
+    defaults: { enabled: false, morningTime: '08:00', inactivityHours: 8 },
+    morningWindow: 3 * 60 * 60 * 1000,       // 超过早安时间 3 小时才打开页面时不再补发
+    retryDelay: 10 * 60 * 1000,              // 生成失败后 10 分钟内不再尝试
+    busyDelay: 60 * 1000                     // 到期时正在接收回复或离线，稍后再检查
+};
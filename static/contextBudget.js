@@ -0,0 +1,56 @@
+// contextBudget.js
+// 按 CONTEXT_BUDGET 在各部分之间分配上下文 token 预算。
+// 先让每部分按自身优先级装入条目直到该部分上限；合计仍超过总预算时，按 trimOrder 逐部分
+// 去掉优先级最低的条目，直到放得下（每部分至少保留 minItems 条）
+
+import { CONTEXT_BUDGET } from './config.js';
+
+// sections: { name: [{ value, tokens, priority }] }，priority 越大越重要；fixedTokens 为不可裁剪的部分（如本次输入）
+// 返回 { included: { name: [value] }（保持传入顺序）, dropped: { name: [{ value, tokens, reason }] },
+//        usage: { name: { tokens, max, included, dropped } }, totalTokens, budget }
+// reason：'section' 超出该部分上限，'total' 为满足总预算被裁剪
+export function allocateContext(sections, fixedTokens = 0, budget = CONTEXT_BUDGET) {
+    const state = {};
+    for (const [name, items] of Object.entries(sections)) {
+        const cfg = budget.sections[name] || {};
+        const max = cfg.max === undefined ? Infinity : cfg.max;
+        const minItems = cfg.minItems || 0;
+        const ranked = items.map((item, index) => ({ ...item, index })).sort((a, b) => b.priority - a.priority);
+        const kept = [];
+        const dropped = [];
+        let used = 0;
+        for (const item of ranked) {
+            const fits = used + item.tokens <= max;
+            // contiguous：一旦有条目放不下，优先级更低的也不再装入（例如最近对话不能跳过中间的消息）
+            const blocked = cfg.contiguous && dropped.length > 0;
+            if (kept.length < minItems || (fits && !blocked)) {
+                kept.push(item);
+                used += item.tokens;
+            } else {
+                dropped.push({ ...item, reason: 'section' });
+            }
+        }
+        state[name] = { kept, dropped, used, max, minItems };
+    }
+
+    const total = () => fixedTokens + Object.values(state).reduce((sum, s) => sum + s.used, 0);
+    for (const name of budget.trimOrder) {
+        const s = state[name];
+        if (!s) continue;
+        while (total() > budget.total && s.kept.length > s.minItems) {
+            const item = s.kept.pop(); // kept 按优先级降序，末尾优先级最低
+            s.used -= item.tokens;
+            s.dropped.push({ ...item, reason: 'total' });
+        }
+    }
+
+    const included = {};
+    const dropped = {};
+    const usage = {};
+    for (const [name, s] of Object.entries(state)) {
+        included[name] = s.kept.slice().sort((a, b) => a.index - b.index).map(item => item.value);
+        dropped[name] = s.dropped.map(({ value, tokens, reason }) => ({ value, tokens, reason }));
+        usage[name] = { tokens: s.used, max: s.max, included: s.kept.length, dropped: s.dropped.length };
+    }
+    return { included, dropped, usage, totalTokens: total(), budget: budget.total };
+}
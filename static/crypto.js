@@ -0,0 +1,103 @@
+// crypto.js
+// 口令加密：PBKDF2(SHA-256) 由口令派生 AES-GCM 密钥，数据以信封格式保存
+// 信封 {enc: 'AES-GCM', v: 1, kdf: {name, hash, iterations, salt}, iv, data}（二进制字段为 base64），
+// 自带派生参数，只凭口令即可解开（例如在另一台设备上导入导出文件）
+
+const PBKDF2_ITERATIONS = 250000;
+const VERIFIER_PLAINTEXT = 'wechat-boyfriend-passphrase-ok';
+
+export class WrongPassphraseError extends Error {
+    constructor(message = '口令错误，无法解密') {
+        super(message);
+        this.name = 'WrongPassphraseError';
+    }
+}
+
+// 分段转换，避免大数据展开为参数时超出调用栈限制
+function toBase64(bytes) {
+    const u8 = new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < u8.length; i += 0x8000) binary += String.fromCharCode(...u8.subarray(i, i + 0x8000));
+    return btoa(binary);
+}
+const fromBase64 = (b64) => Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+
+export function isEnvelope(value) {
+    return !!value && typeof value === 'object' && value.enc === 'AES-GCM' && typeof value.data === 'string' && !!value.kdf;
+}
+
+// 由口令派生密钥；返回 { key, kdf }，kdf 会写入此密钥加密的每个信封
+export async function deriveKey(passphrase, { salt = null, iterations = PBKDF2_ITERATIONS } = {}) {
+    const saltBytes = salt ? fromBase64(salt) : crypto.getRandomValues(new Uint8Array(16));
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    const key = await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+    return { key, kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(saltBytes) } };
+}
+
+// 加密字符串；vaultKey 为 deriveKey 的返回值
+export async function encryptText(vaultKey, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, vaultKey.key, new TextEncoder().encode(text));
+    return { enc: 'AES-GCM', v: 1, kdf: vaultKey.kdf, iv: toBase64(iv), data: toBase64(data) };
+}
+
+// 解密信封；密钥不对（或数据被篡改）时抛出 WrongPassphraseError
+export async function decryptText(vaultKey, envelope) {
+    if (!isEnvelope(envelope)) throw new Error('不是有效的加密数据');
+    let plain;
+    try {
+        plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, vaultKey.key, fromBase64(envelope.data));
+    } catch (_) {
+        throw new WrongPassphraseError();
+    }
+    return new TextDecoder().decode(plain);
+}
+
+// 加密二进制数据（图片、语音等 Blob 的内容）：信封同 encryptText，data 直接保存 ArrayBuffer，避免大文件转 base64 膨胀
+export async function encryptBytes(vaultKey, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, vaultKey.key, bytes);
+    return { enc: 'AES-GCM', v: 1, kdf: vaultKey.kdf, iv: toBase64(iv), data };
+}
+
+// 解密 encryptBytes 的信封，返回 ArrayBuffer；密钥不对时抛出 WrongPassphraseError
+export async function decryptBytes(vaultKey, envelope) {
+    if (!envelope || !(envelope.data instanceof ArrayBuffer)) throw new Error('不是有效的加密数据');
+    try {
+        return await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, vaultKey.key, envelope.data);
+    } catch (_) {
+        throw new WrongPassphraseError();
+    }
+}
+
+// 只凭口令解密（按信封中的派生参数重新派生密钥）
+export async function decryptWithPassphrase(passphrase, envelope) {
+    if (!isEnvelope(envelope)) throw new Error('不是有效的加密数据');
+    const vaultKey = await deriveKey(passphrase, envelope.kdf);
+    return decryptText(vaultKey, envelope);
+}
+
+// 信封是否由该密钥（同一组派生参数）加密
+export function sameKdf(vaultKey, envelope) {
+    return !!vaultKey && isEnvelope(envelope) && envelope.kdf.salt === vaultKey.kdf.salt && envelope.kdf.iterations === vaultKey.kdf.iterations;
+}
+
+// 设置口令：派生新密钥并生成校验信封（保存校验信封即可在之后验证口令，口令本身不保存）
+export async function createVerifier(passphrase) {
+    const vaultKey = await deriveKey(passphrase);
+    const verifier = await encryptText(vaultKey, VERIFIER_PLAINTEXT);
+    return { vaultKey, verifier };
+}
+
+// 用校验信封验证口令，正确时返回派生的密钥
+export async function unlockVerifier(passphrase, verifier) {
+    const vaultKey = await deriveKey(passphrase, verifier.kdf);
+    if ((await decryptText(vaultKey, verifier)) !== VERIFIER_PLAINTEXT) throw new WrongPassphraseError();
+    return vaultKey;
+}
@@ -0,0 +1,150 @@
+// db.js
+// IndexedDB 访问与版本迁移：数据库名称、版本与存储区统一来自 config.js 的 DB_CONFIG
+
+import { DB_CONFIG } from './config.js';
+
+export const STORES = DB_CONFIG.stores;
+
+const LAYER_NAMES = ['shortTerm', 'mediumTerm', 'longTerm'];
+
+// 版本迁移：按 oldVersion 逐级执行，保证从任意旧版本都能前进到当前版本且不丢数据
+const MIGRATIONS = {
+  // v1：文件句柄与会话快照
+  1(db) {
+    if (!db.objectStoreNames.contains(STORES.handles)) db.createObjectStore(STORES.handles);
+    if (!db.objectStoreNames.contains(STORES.backups)) db.createObjectStore(STORES.backups);
+  },
+  // v2：分层记忆独立存储，每条记忆一条记录 {conversationId, id, layer, data}；
+  // 把 v1 会话快照中内嵌的记忆层搬进来（快照本身保持不变）
+  2(db, tx) {
+    if (db.objectStoreNames.contains(STORES.memories)) return;
+    const memories = db.createObjectStore(STORES.memories, { keyPath: ['conversationId', 'id'] });
+    memories.createIndex('conversationId', 'conversationId');
+
+    const cursorReq = tx.objectStore(STORES.backups).openCursor();
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor) return;
+      const key = String(cursor.key);
+      const snap = cursor.value;
+      if (key.startsWith('conv_') && snap && snap.memory && snap.memory.layers) {
+        const conversationId = key.slice('conv_'.length);
+        for (const layer of LAYER_NAMES) {
+          for (const m of snap.memory.layers[layer] || []) {
+            const id = m.id || `memory_${m.createdAt || Date.now()}_${Math.random().toString(36).slice(2)}`;
+            memories.put({ conversationId, id, layer, data: { ...m, id } });
+          }
+        }
+      }
+      cursor.continue();
+    };
+  },
+  // v3：图片与表情消息的媒体文件，每个文件一条记录 {id, conversationId, kind, mime, width, height, blob, createdAt}
+  3(db) {
+    if (db.objectStoreNames.contains(STORES.media)) return;
+    const media = db.createObjectStore(STORES.media, { keyPath: 'id' });
+    media.createIndex('conversationId', 'conversationId');
+  },
+  // v4：语音合成缓存，每段语音一条记录 {textHash, voiceId, mime, size, blob, createdAt, lastUsed}，
+  // 以 [textHash, voiceId] 为主键；lastUsed 索引用于按最久未播放淘汰
+  4(db) {
+    if (db.objectStoreNames.contains(STORES.tts)) return;
+    const tts = db.createObjectStore(STORES.tts, { keyPath: ['textHash', 'voiceId'] });
+    tts.createIndex('textHash', 'textHash');
+    tts.createIndex('lastUsed', 'lastUsed');
+  }
+};
+
+let dbPromise = null;
+
+// 打开（并在需要时升级）数据库；连接会被复用
+export function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_CONFIG.name, DB_CONFIG.version);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      for (let v = e.oldVersion + 1; v <= DB_CONFIG.version; v++) {
+        if (MIGRATIONS[v]) MIGRATIONS[v](db, req.transaction);
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // 其他标签页升级数据库时释放连接，下次访问重新打开
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+    req.onblocked = () => console.warn('IndexedDB 升级被其他标签页阻塞，请关闭其他打开的页面');
+  });
+  return dbPromise;
+}
+
+export async function idbPut(store, key, value) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, 'readwrite');
+    const s = tx.objectStore(store);
+    const r = key === undefined ? s.put(value) : s.put(value, key);
+    r.onsuccess = () => resolve();
+    r.onerror = () => reject(r.error);
+  });
+}
+
+export async function idbGet(store, key) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, 'readonly');
+    const s = tx.objectStore(store);
+    const r = s.get(key);
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+}
+
+export async function idbDelete(store, key) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, 'readwrite');
+    const s = tx.objectStore(store);
+    const r = s.delete(key);
+    r.onsuccess = () => resolve();
+    r.onerror = () => reject(r.error);
+  });
+}
+
+// 在一个事务内执行多步操作：fn(tx) 中发起请求，事务完成后 resolve
+export async function idbTransaction(stores, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, mode);
+    let result;
+    try {
+      result = fn(tx);
+    } catch (e) {
+      tx.abort();
+      reject(e);
+      return;
+    }
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// 读取索引下的全部记录
+export async function idbGetAllByIndex(store, indexName, value) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, 'readonly');
+    const r = tx.objectStore(store).index(indexName).getAll(value);
+    r.onsuccess = () => resolve(r.result || []);
+    r.onerror = () => reject(r.error);
+  });
+}
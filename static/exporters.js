@@ -0,0 +1,182 @@
+// exporters.js
+// 可阅读的聊天记录导出：Markdown 与单文件 HTML（样式与主界面的微信气泡一致，头像与壁纸内嵌为 data URL）
+// 备份/恢复用的 header + ----CHAT-JSON---- 格式仍由 chat.js 的 _buildExportText 生成
+
+const TIME_GAP = 5 * 60 * 1000; // 与微信一致：相邻消息间隔超过 5 分钟显示时间
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 时间分隔标签：今天只显示时分，今年显示月日，更早显示完整日期
+export function formatTimeLabel(ts, now = Date.now()) {
+    const d = new Date(ts);
+    const today = new Date(now);
+    const hm = `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+    if (d.toDateString() === today.toDateString()) return hm;
+    if (d.getFullYear() === today.getFullYear()) return `${d.getMonth() + 1}月${d.getDate()}日 ${hm}`;
+    return `${d.getFullYear()}年${d.getMonth() + 1}月${d.getDate()}日 ${hm}`;
+}
+
+// 按时间范围或选中的 id 过滤消息：{ from, to }（毫秒时间戳，含端点）或 { ids }（Set 或数组）
+export function filterMessages(messages, { from = null, to = null, ids = null } = {}) {
+    const idSet = ids ? new Set(ids) : null;
+    return messages.filter(m => {
+        if (idSet) return idSet.has(m.id);
+        const ts = m.ts || 0;
+        if (from !== null && ts < from) return false;
+        if (to !== null && ts > to) return false;
+        return true;
+    });
+}
+
+// 两条相邻消息之间是否显示时间：第一条消息前（prevTs 为 null）、跨天、或间隔超过 gap 时。聊天界面与导出共用
+export function needsTimeSeparator(prevTs, ts, gap = TIME_GAP) {
+    return prevTs === null || ts - prevTs > gap || new Date(ts).toDateString() !== new Date(prevTs).toDateString();
+}
+
+// 在消息之间插入时间分隔，返回 [{ type: 'time', ts } | { type: 'message', message }]
+export function withTimeSeparators(messages, gap = TIME_GAP) {
+    const items = [];
+    let prev = null;
+    for (const m of messages) {
+        const ts = m.ts || 0;
+        if (needsTimeSeparator(prev, ts, gap)) items.push({ type: 'time', ts });
+        items.push({ type: 'message', message: m });
+        prev = ts;
+    }
+    return items;
+}
+
+const speakerName = (m, names) => (m.role === 'user' ? names.userName : names.assistantName);
+
+// 转义行内标记；每行开头的列表、编号、分隔线（- + = 与 1. 1)）也要转义，
+// 否则消息中的某一行会被渲染成列表或标题（# * > 已在行内标记中转义）
+function escapeMarkdown(text) {
+    return String(text)
+        .replace(/([\\`*_[\]<>#|~])/g, '\\$1')
+        .replace(/^([ \t]*)([-+=])/gm, '$1\\$2')
+        .replace(/^([ \t]*\d+)([.)])/gm, '$1\\$2');
+}
+
+// opts: { title, userName, assistantName, exportedAt }
+export function toMarkdown(messages, opts = {}) {
+    const names = { userName: opts.userName || '我', assistantName: opts.assistantName || '对方' };
+    const exportedAt = opts.exportedAt || Date.now();
+    const lines = [`# ${escapeMarkdown(opts.title || '聊天记录')}`, ''];
+    lines.push(`> ${names.userName} 与 ${names.assistantName} 的聊天记录 · 共 ${messages.length} 条 · 导出于 ${new Date(exportedAt).toLocaleString()}`, '');
+
+    for (const item of withTimeSeparators(messages)) {
+        if (item.type === 'time') {
+            lines.push('', `<p align="center"><sub>${formatTimeLabel(item.ts, exportedAt)}</sub></p>`, '');
+            continue;
+        }
+        const m = item.message;
+        // 多行消息用行尾两个空格保留换行
+        const body = escapeMarkdown(m.text || '').split('\n').join('  \n');
+        lines.push(`**${escapeMarkdown(speakerName(m, names))}**：${body}${m.partial ? ' *（回复中断）*' : ''}`, '');
+    }
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n') + '\n';
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// 与 index.html 中的气泡样式保持一致（去掉交互相关的部分）
+const TRANSCRIPT_CSS = `
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans", sans-serif, "Apple Color Emoji", "Segoe UI Emoji"; background-color: #ededed; display: flex; justify-content: center; }
+.app { width: 100%; max-width: 600px; min-height: 100vh; background-color: #f7f7f7; display: flex; flex-direction: column; box-shadow: 0 0 10px rgba(0, 0, 0, 0.1); }
+.header { background-color: #1a1a1a; color: #fff; padding: 10px 15px; text-align: center; font-size: 18px; font-weight: bold; position: sticky; top: 0; z-index: 10; }
+.header small { display: block; font-size: 11px; font-weight: normal; color: #aaa; }
+.chat-messages { flex-grow: 1; padding: 10px 15px; background-color: #ededed; background-size: cover; background-position: center; background-attachment: fixed; }
+.time-separator { text-align: center; margin: 10px 0 15px; }
+.time-separator span { background: rgba(0, 0, 0, 0.1); color: #fff; font-size: 12px; padding: 2px 6px; border-radius: 3px; }
+.message { display: flex; margin-bottom: 15px; align-items: flex-start; position: relative; }
+.message.me { justify-content: flex-end; }
+.message.boyfriend { justify-content: flex-start; }
+.message-avatar { width: 40px; height: 40px; border-radius: 5px; flex-shrink: 0; object-fit: cover; }
+.message.boyfriend .message-avatar { margin-right: 10px; }
+.message.me .message-avatar { margin-left: 10px; order: 2; }
+.message-content { max-width: calc(100% - 40px - 10px - 10px - 24px); min-width: 0; background-color: #fff; padding: 10px 12px; border-radius: 8px; position: relative; font-size: 15px; line-height: 1.4; word-wrap: break-word; box-shadow: 0 1px 0 rgba(0, 0, 0, 0.08); }
+.message.me .message-content { background-color: #9fe658; color: #333; order: 1; }
+.message.boyfriend .message-content::before { content: ''; position: absolute; left: -8px; top: 10px; border-style: solid; border-width: 6px 8px 6px 0; border-color: transparent #fff transparent transparent; }
+.message.me .message-content::after { content: ''; position: absolute; right: -8px; top: 10px; border-style: solid; border-width: 6px 0 6px 8px; border-color: transparent transparent transparent #9fe658; }
+.message-text { margin: 0; white-space: pre-wrap; }
+.message-image { display: block; max-width: 100%; max-height: 300px; border-radius: 4px; }
+.message.sticker .message-content { background: transparent; box-shadow: none; padding: 0; }
+.message.sticker .message-content::before, .message.sticker .message-content::after { display: none; }
+.message.sticker .message-image { max-width: 120px; max-height: 120px; }
+.message-content audio { display: block; max-width: 100%; height: 32px; margin-bottom: 4px; }
+.message.partial .message-text::after { content: '（回复中断）'; color: #999; font-size: 12px; margin-left: 4px; }
+.footer { text-align: center; color: #999; font-size: 12px; padding: 10px; }
+`;
+
+// opts: { title, userName, assistantName, userAvatar, assistantAvatar, wallpaper, exportedAt, media, speech }
+// 图片应事先通过 inlineImage 转为 data URL，生成的文件才能离线打开；media 为 { 媒体 id: data URL }（图片 / 表情 / 语音消息）；
+// speech 为 { 消息 id: data URL }（“转语音”缓存的音频）
+export function toHTML(messages, opts = {}) {
+    const names = { userName: opts.userName || '我', assistantName: opts.assistantName || '对方' };
+    const exportedAt = opts.exportedAt || Date.now();
+    const title = opts.title || '聊天记录';
+    const body = [];
+
+    for (const item of withTimeSeparators(messages)) {
+        if (item.type === 'time') {
+            body.push(`<div class="time-separator"><span>${escapeHtml(formatTimeLabel(item.ts, exportedAt))}</span></div>`);
+            continue;
+        }
+        const m = item.message;
+        const isUser = m.role === 'user';
+        const avatar = isUser ? opts.userAvatar : opts.assistantAvatar;
+        const avatarHtml = avatar ? `<img src="${escapeHtml(avatar)}" class="message-avatar" alt="${escapeHtml(speakerName(m, names))}头像">` : '';
+        const file = m.media && opts.media && opts.media[m.media.id];
+        const image = file && m.media.kind !== 'voice';
+        let content = `<p class="message-text">${escapeHtml(m.text || '')}</p>`;
+        if (image) content = `<img src="${escapeHtml(file)}" class="message-image" alt="${escapeHtml(m.text || '')}">`;
+        else if (file) content = `<audio controls src="${escapeHtml(file)}"></audio>${content}`; // 语音：录音 + 识别结果
+        else if (opts.speech && opts.speech[m.id]) content = `<audio controls src="${escapeHtml(opts.speech[m.id])}"></audio>${content}`;
+        const contentHtml = `<div class="message-content">${content}</div>`;
+        const cls = `message ${isUser ? 'me' : 'boyfriend'}${m.partial ? ' partial' : ''}${image && m.media.kind === 'sticker' ? ' sticker' : ''}`;
+        body.push(`<div class="${cls}" title="${escapeHtml(new Date(m.ts || 0).toLocaleString())}">${avatarHtml}${contentHtml}</div>`);
+    }
+
+    const wallpaperStyle = opts.wallpaper ? ` style="background-image: url('${escapeHtml(opts.wallpaper)}')"` : '';
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(title)}</title>
+<style>${TRANSCRIPT_CSS}</style>
+</head>
+<body>
+<div class="app">
+  <div class="header">${escapeHtml(names.assistantName)}<small>${escapeHtml(title)}</small></div>
+  <div class="chat-messages"${wallpaperStyle}>
+${body.join('\n')}
+  </div>
+  <div class="footer">共 ${messages.length} 条消息 · 导出于 ${escapeHtml(new Date(exportedAt).toLocaleString())}</div>
+</div>
+</body>
+</html>
+`;
+}
+
+// 把图片地址转换为 data URL；已是 data URL 时原样返回，无法读取（如跨域）时返回 null
+export async function inlineImage(src) {
+    if (!src) return null;
+    if (src.startsWith('data:')) return src;
+    try {
+        const resp = await fetch(src);
+        if (!resp.ok) return null;
+        const blob = await resp.blob();
+        return await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    } catch (e) {
+        console.warn('无法内嵌图片:', src, e);
+        return null;
+    }
+}
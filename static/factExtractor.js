@@ -0,0 +1,104 @@
+// factExtractor.js
+// 用户资料（结构化事实）的键定义与基于规则的提取。
+// 页面在 /api/extract-facts 不可用时用它在本地提取；Worker 也用它校验模型返回的结果，并在模型不可用时回退
+
+// label：显示名称；multi：可同时有多个值（否则新值与旧值冲突）；opposite：与之矛盾的键（同一值只能保留较新的说法）；
+// hints：用户输入中出现这些词时，该类资料与当前话题相关
+export const FACT_KEYS = {
+    name: { label: '名字', hints: ['名字', '叫什么'] },
+    nickname: { label: '希望被称呼为', hints: ['叫我', '称呼'] },
+    birthday: { label: '生日', hints: ['生日', '出生', '几岁', '蛋糕'] },
+    age: { label: '年龄', hints: ['几岁', '年龄', '多大', '生日'] },
+    job: { label: '职业', hints: ['工作', '上班', '加班', '同事', '老板', '下班'] },
+    workplace: { label: '工作单位', hints: ['工作', '上班', '公司', '单位'] },
+    city: { label: '所在城市', hints: ['天气', '下雨', '城市', '住', '附近', '出门'] },
+    hometown: { label: '家乡', hints: ['老家', '家乡', '回家', '过年'] },
+    favorite_food: { label: '喜欢吃', multi: true, opposite: 'disliked_food', hints: ['吃', '饭', '菜', '饿', '外卖', '零食', '餐厅'] },
+    disliked_food: { label: '不吃', multi: true, opposite: 'favorite_food', hints: ['吃', '饭', '菜', '外卖', '餐厅'] },
+    allergy: { label: '过敏', multi: true, hints: ['吃', '过敏', '药', '花粉'] },
+    hobby: { label: '爱好', multi: true, hints: ['周末', '玩', '爱好', '无聊', '放假'] },
+    pet_name: { label: '宠物', multi: true, hints: ['猫', '狗', '宠物', '兔子', '仓鼠'] }
+};
+
+// 模型可以提出登记表以外的资料，键写作 'other:<中文标签>'（单值）
+export function factKeyDef(key) {
+    if (FACT_KEYS[key]) return FACT_KEYS[key];
+    if (typeof key === 'string' && key.startsWith('other:') && key.length > 6) return { label: key.slice(6), hints: [] };
+    return null;
+}
+
+export function normalizeFactValue(value) {
+    return String(value || '').trim().replace(/^[：:，,\s]+|[。！!？?，,~～\s了的啊呀啦哦哈]+$/g, '').slice(0, 60);
+}
+
+const CN = '\\u4e00-\\u9fa5';
+const NOT_END = '[^，,。！!？?；;\\s]';
+const PET_KINDS = '猫咪|猫|狗狗|狗|兔子|仓鼠|鹦鹉|乌龟';
+const JOBS = '工程师|程序员|医生|护士|老师|教师|设计师|律师|会计|研究生|博士生|大学生|高中生|学生|销售|警察|厨师|司机|记者|编辑|产品经理|经理|运营|公务员|主播|演员|歌手|画家|作家|摄影师|翻译|客服|店长|老板|创业者';
+
+// 每条规则：{ key, re, value(match) => string, confidence }；逐句匹配
+const RULES = [
+    { key: 'birthday', re: /我(?:的)?生日(?:是|在)?\s*(\d{1,2})\s*月\s*(\d{1,2})\s*[日号]?/, value: m => `${+m[1]}月${+m[2]}日`, confidence: 0.9 },
+    { key: 'birthday', re: /我(?:是)?(\d{1,2})月(\d{1,2})[日号](?:出生|生的|生日)/, value: m => `${+m[1]}月${+m[2]}日`, confidence: 0.85 },
+    { key: 'age', re: /我(?:今年|已经|都)*(\d{1,2})岁/, value: m => `${+m[1]}岁`, confidence: 0.8 },
+    { key: 'name', re: new RegExp(`我(?:的名字)?叫([${CN}A-Za-z]{1,6}?)(?:[，,。！!~～啦呀哦]|$)`), value: m => m[1], confidence: 0.7 },
+    { key: 'nickname', re: new RegExp(`(?:可以|以后|就)叫我(${NOT_END}{1,6}?)(?:就好|就行|吧|好了)?$`), value: m => m[1], confidence: 0.7 },
+    { key: 'job', re: new RegExp(`我(?:现在)?(?:是|在做|的工作是|的职业是)(?:一[名个位])?([${CN}]{0,6}?(?:${JOBS}))`), value: m => m[1], confidence: 0.75 },
+    { key: 'workplace', re: new RegExp(`我在([${CN}A-Za-z]{2,10}?)(?:工作|上班|实习)`), value: m => m[1], confidence: 0.6 },
+    { key: 'city', re: new RegExp(`我(?:现在)?住在([${CN}]{2,8}?)(?:[，,。！!的]|这边|那边|$)`), value: m => m[1], confidence: 0.7 },
+    { key: 'hometown', re: new RegExp(`我(?:的)?老家(?:是|在)([${CN}]{2,8}?)(?:[，,。！!的]|人|$)`), value: m => m[1], confidence: 0.8 },
+    { key: 'hometown', re: new RegExp(`我是([${CN}]{2,4})人`), value: m => m[1], confidence: 0.6 },
+    { key: 'favorite_food', re: new RegExp(`我(?:最|特别|超|很|超级)?(?:喜欢|爱)吃(${NOT_END}{1,10})`), value: m => m[1], confidence: 0.7 },
+    { key: 'disliked_food', re: new RegExp(`我(?:不吃|不爱吃|不喜欢吃|讨厌吃|吃不了)(${NOT_END}{1,10})`), value: m => m[1], confidence: 0.7 },
+    { key: 'allergy', re: new RegExp(`我对(${NOT_END}{1,10}?)过敏`), value: m => m[1], confidence: 0.85 },
+    { key: 'hobby', re: /我(?:的)?(?:爱好|兴趣)(?:是|就是)([^，,。！!？?；;]{1,12})/, value: m => m[1], confidence: 0.75 },
+    { key: 'pet_name', re: new RegExp(`我(?:家|养)的?(?:那只|一只|小)?(${PET_KINDS})(?:叫|名字叫|的名字是)(${NOT_END}{1,8})`), value: m => `${m[2]}（${m[1]}）`, confidence: 0.85 }
+];
+
+// 明显不是资料的取值（“我叫了外卖”“我是个好人”之类）
+const REJECT = {
+    name: /^[了过着你他她它醒]/,
+    hometown: /[个好坏男女一大小普通老实外地本地]/,
+    workplace: /^(?:公司|家|单位|这|那)/
+};
+
+// 按句切分，跳过疑问句（“我生日是几号来着？”）
+function sentences(text) {
+    return (String(text || '').match(/[^。！？!?\n；;]+[。！？!?\n；;]?/g) || [])
+        .filter(s => !/[？?]$/.test(s.trim()) && !/[吗呢嘛]\s*$/.test(s.trim()))
+        .map(s => s.trim().replace(/[。！!\n；;]$/, ''));
+}
+
+// 从用户消息中提取资料：messages 为 [{ id, text, ts }]，只应传入用户本人发送的消息
+// 返回 [{ key, value, confidence, sourceId, ts }]
+export function extractFacts(messages) {
+    const facts = [];
+    for (const m of messages) {
+        for (const sentence of sentences(m.text)) {
+            if (/我(?:不|没)(?:叫|是)/.test(sentence)) continue; // 否定句不提取
+            for (const rule of RULES) {
+                const match = rule.re.exec(sentence);
+                if (!match) continue;
+                const value = normalizeFactValue(rule.value(match));
+                if (!value || (REJECT[rule.key] && REJECT[rule.key].test(value))) continue;
+                facts.push({ key: rule.key, value, confidence: rule.confidence, sourceId: m.id, ts: m.ts || Date.now() });
+            }
+        }
+    }
+    return facts;
+}
+
+// 校验并规范化外部（模型）返回的资料；sourceId 必须来自本次提交的消息
+export function sanitizeFacts(facts, messages) {
+    const byId = new Map(messages.map(m => [m.id, m]));
+    const out = [];
+    for (const f of Array.isArray(facts) ? facts : []) {
+        if (!f || !factKeyDef(f.key)) continue;
+        const value = normalizeFactValue(f.value);
+        const source = byId.get(f.sourceId);
+        if (!value || !source) continue;
+        const confidence = Math.min(1, Math.max(0, Number(f.confidence) || 0.5));
+        out.push({ key: f.key, value, confidence, sourceId: source.id, ts: source.ts || Date.now() });
+    }
+    return out;
+}
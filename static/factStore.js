@@ -0,0 +1,157 @@
+// factStore.js
+// 用户资料：从对话中提取的结构化事实（生日、喜欢的食物、宠物名字等），不参与记忆压缩，随会话快照保存。
+// 每条资料 { id, key, value, confidence, sourceIds, firstSeen, lastConfirmed, previous }
+// previous 记录被新说法替换掉的旧值 [{ value, confidence, lastConfirmed, replacedAt }]
+
+import { factKeyDef, normalizeFactValue } from './factExtractor.js';
+
+const CONFIDENCE_HALF_LIFE = 180 * 24 * 60 * 60 * 1000; // 久未再次提及的资料可信度逐渐降低
+const MAX_VALUES_PER_KEY = 8;  // 多值资料（如喜欢吃的东西）每类最多保留的条数
+const MAX_PREVIOUS = 5;
+const MAX_SOURCES = 20;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+export class FactStore {
+    constructor(facts = []) {
+        this.facts = (Array.isArray(facts) ? facts : [])
+            .filter(f => f && factKeyDef(f.key) && normalizeFactValue(f.value))
+            .map(f => ({ previous: [], sourceIds: [], ...f }));
+    }
+
+    list() {
+        return this.facts.slice().sort((a, b) => a.key.localeCompare(b.key) || b.lastConfirmed - a.lastConfirmed);
+    }
+
+    label(fact) {
+        return factKeyDef(fact.key).label;
+    }
+
+    // 考虑时间衰减后的可信度
+    effectiveConfidence(fact, now = Date.now()) {
+        const age = Math.max(0, now - (fact.lastConfirmed || now));
+        return fact.confidence * Math.pow(0.5, age / CONFIDENCE_HALF_LIFE);
+    }
+
+    // 合并新提取的资料 [{ key, value, confidence, sourceId, ts }]，按时间顺序处理：
+    // - 同键同值：视为再次确认，可信度叠加，更新 lastConfirmed
+    // - 单值资料出现不同的值：新说法的可信度不明显低于旧值（考虑衰减）时替换，旧值进入 previous；
+    //   否则保留旧值并降低其可信度，同样的新说法再出现几次后就会胜出
+    // - 与 opposite 键同值（先说喜欢吃、后说不吃）：删除旧的说法
+    // 返回 { added, confirmed, replaced, rejected }（资料对象数组）
+    upsert(candidates, now = Date.now()) {
+        const result = { added: [], confirmed: [], replaced: [], rejected: [] };
+        const sorted = (Array.isArray(candidates) ? candidates : []).slice().sort((a, b) => (a.ts || 0) - (b.ts || 0));
+        for (const c of sorted) {
+            const def = factKeyDef(c.key);
+            const value = normalizeFactValue(c.value);
+            if (!def || !value) continue;
+            const ts = c.ts || now;
+            const confidence = Math.min(1, Math.max(0, Number(c.confidence) || 0.5));
+            const sourceIds = c.sourceId ? [c.sourceId] : [];
+
+            if (def.opposite) {
+                const contradicted = this.facts.filter(f => f.key === def.opposite && f.value === value);
+                if (contradicted.length) {
+                    this.facts = this.facts.filter(f => !contradicted.includes(f));
+                    result.replaced.push(...contradicted);
+                }
+            }
+
+            const same = this.facts.find(f => f.key === c.key && f.value === value);
+            if (same) {
+                same.confidence = round(1 - (1 - same.confidence) * (1 - confidence));
+                same.lastConfirmed = Math.max(same.lastConfirmed || 0, ts);
+                same.sourceIds = [...new Set([...same.sourceIds, ...sourceIds])].slice(-MAX_SOURCES);
+                result.confirmed.push(same);
+                continue;
+            }
+
+            const existing = def.multi ? null : this.facts.find(f => f.key === c.key);
+            if (existing) {
+                if (confidence >= this.effectiveConfidence(existing, ts) - 0.1) {
+                    existing.previous = [
+                        { value: existing.value, confidence: existing.confidence, lastConfirmed: existing.lastConfirmed, replacedAt: ts },
+                        ...existing.previous
+                    ].slice(0, MAX_PREVIOUS);
+                    Object.assign(existing, { value, confidence: round(confidence), sourceIds, lastConfirmed: ts });
+                    result.replaced.push(existing);
+                } else {
+                    existing.confidence = round(existing.confidence * 0.8);
+                    result.rejected.push({ key: c.key, value, confidence, sourceIds });
+                }
+                continue;
+            }
+
+            const fact = {
+                id: `fact_${Date.now()}_${Math.random().toString(36).slice(2)}`,
+                key: c.key,
+                value,
+                confidence: round(confidence),
+                sourceIds,
+                firstSeen: ts,
+                lastConfirmed: ts,
+                previous: []
+            };
+            this.facts.push(fact);
+            result.added.push(fact);
+            if (def.multi) this._capKey(c.key, now);
+        }
+        return result;
+    }
+
+    _capKey(key, now) {
+        const values = this.facts.filter(f => f.key === key);
+        if (values.length <= MAX_VALUES_PER_KEY) return;
+        const drop = values
+            .sort((a, b) => this.effectiveConfidence(a, now) - this.effectiveConfidence(b, now))
+            .slice(0, values.length - MAX_VALUES_PER_KEY);
+        this.facts = this.facts.filter(f => !drop.includes(f));
+    }
+
+    // 手动修改：用户亲自确认的值可信度为 1
+    setValue(id, value, now = Date.now()) {
+        const fact = this.facts.find(f => f.id === id);
+        const normalized = normalizeFactValue(value);
+        if (!fact || !normalized) return null;
+        if (normalized !== fact.value) {
+            fact.previous = [{ value: fact.value, confidence: fact.confidence, lastConfirmed: fact.lastConfirmed, replacedAt: now }, ...fact.previous].slice(0, MAX_PREVIOUS);
+            fact.value = normalized;
+        }
+        fact.confidence = 1;
+        fact.lastConfirmed = now;
+        return fact;
+    }
+
+    remove(id) {
+        const before = this.facts.length;
+        this.facts = this.facts.filter(f => f.id !== id);
+        return before !== this.facts.length;
+    }
+
+    // 来源消息被编辑或删除：去掉该来源，没有其他来源（也不是手动确认）的资料一并删除。返回删除的条数
+    removeSource(messageId) {
+        let removed = 0;
+        this.facts = this.facts.filter(f => {
+            if (!f.sourceIds.includes(messageId)) return true;
+            f.sourceIds = f.sourceIds.filter(id => id !== messageId);
+            if (f.sourceIds.length || f.confidence === 1) return true;
+            removed++;
+            return false;
+        });
+        return removed;
+    }
+
+    // 与输入相关的程度：输入提到了资料的值，或出现该类资料的提示词（如说到“吃”时喜欢的食物相关）
+    relevance(fact, text) {
+        const input = String(text || '');
+        let score = 0;
+        if (input.includes(fact.value)) score += 2;
+        if ((factKeyDef(fact.key).hints || []).some(h => input.includes(h))) score += 1;
+        return score;
+    }
+
+    toJSON() {
+        return this.facts.map(f => ({ ...f }));
+    }
+}
@@ -0,0 +1,197 @@
+// importAdapters.js
+// 第三方聊天记录导入：识别文件格式，解析为按时间排序的 [{speaker, text, ts}]
+// 说话人到“我/对方”的映射由导入时的对话框决定，adapter 只给出建议（suggestedRole）
+//
+// adapter 结构：
+//   { id, name, detect(text, filename) => boolean, parse(text, filename) => { title, speakers, messages } }
+//   speakers: [{ key, label, suggestedRole: 'user' | 'assistant' | null }]
+//   messages: [{ speaker: key, text, ts }]
+
+const adapters = [];
+
+export function registerAdapter(adapter) {
+    adapters.push(adapter);
+}
+
+export function listAdapters() {
+    return adapters.slice();
+}
+
+// 返回第一个识别出该文件的 adapter，没有则返回 null
+export function detectAdapter(text, filename = '') {
+    for (const adapter of adapters) {
+        try {
+            if (adapter.detect(text, filename)) return adapter;
+        } catch (_) { /* 识别失败视为不匹配 */ }
+    }
+    return null;
+}
+
+// 统计每个说话人的消息数，并按出现顺序整理 speakers
+function collectSpeakers(messages, suggest) {
+    const map = new Map();
+    for (const m of messages) {
+        const s = map.get(m.speaker);
+        if (s) s.count++;
+        else map.set(m.speaker, { key: m.speaker, label: m.label || m.speaker, count: 1, suggestedRole: suggest(m) });
+    }
+    return [...map.values()];
+}
+
+function finish(title, messages, suggest) {
+    messages.sort((a, b) => a.ts - b.ts);
+    const speakers = collectSpeakers(messages, suggest);
+    return { title, speakers, messages: messages.map(({ speaker, text, ts }) => ({ speaker, text, ts })) };
+}
+
+// ---------------- WeChatMsg（微信 PC 版导出的 CSV） ----------------
+
+const WECHAT_COLUMNS = ['localId', 'TalkerId', 'Type', 'SubType', 'IsSender', 'CreateTime', 'Status', 'StrContent', 'StrTime', 'Remark', 'NickName', 'Sender'];
+
+// 非文本消息用占位文字保留，避免对话断档
+const WECHAT_TYPE_PLACEHOLDERS = { 3: '[图片]', 34: '[语音]', 43: '[视频]', 47: '[表情]', 48: '[位置]', 49: '[链接/文件]', 50: '[通话]' };
+
+// RFC 4180 CSV：支持引号、转义引号与字段内换行
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const s = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    for (let i = 0; i < s.length; i++) {
+        const c = s[i];
+        if (quoted) {
+            if (c === '"') {
+                if (s[i + 1] === '"') { field += '"'; i++; } else quoted = false;
+            } else field += c;
+        } else if (c === '"') quoted = true;
+        else if (c === ',') { row.push(field); field = ''; }
+        else if (c === '\n' || c === '\r') {
+            if (c === '\r' && s[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            rows.push(row); row = [];
+        } else field += c;
+    }
+    if (field || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.length > 1 || r[0]);
+}
+
+registerAdapter({
+    id: 'wechatmsg-csv',
+    name: '微信（WeChatMsg CSV）',
+    detect(text) {
+        const header = text.replace(/^\ufeff/, '').split(/\r?\n/, 1)[0];
+        return ['IsSender', 'CreateTime', 'StrContent'].every(col => header.includes(col));
+    },
+    parse(text) {
+        const [header, ...rows] = parseCSV(text);
+        const col = Object.fromEntries(WECHAT_COLUMNS.map(name => [name, header.indexOf(name)]));
+        const get = (r, name) => (col[name] >= 0 ? r[col[name]] || '' : '');
+        const messages = [];
+        let title = '';
+        for (const r of rows) {
+            const type = parseInt(get(r, 'Type'), 10);
+            if (type === 10000) continue; // 系统提示（撤回、加好友等）
+            const text = type === 1 ? get(r, 'StrContent') : WECHAT_TYPE_PLACEHOLDERS[type] || '';
+            if (!text.trim()) continue;
+            const seconds = parseInt(get(r, 'CreateTime'), 10);
+            const ts = seconds ? seconds * 1000 : Date.parse(get(r, 'StrTime').replace(' ', 'T'));
+            const isSender = get(r, 'IsSender') === '1';
+            const name = get(r, 'Remark') || get(r, 'NickName') || get(r, 'TalkerId');
+            if (!isSender && !title) title = name;
+            // 群聊中 Sender 为实际发言人
+            const other = get(r, 'Sender') && get(r, 'Sender') !== get(r, 'TalkerId') ? get(r, 'Sender') : name;
+            messages.push({
+                speaker: isSender ? '__self__' : other,
+                label: isSender ? '我（本机发送）' : other,
+                text,
+                ts: ts || 0
+            });
+        }
+        return finish(title, messages, m => (m.speaker === '__self__' ? 'user' : 'assistant'));
+    }
+});
+
+// ---------------- QQ 消息管理器导出的 txt ----------------
+
+// 每条消息的首行：“2020-01-01 12:00:00 昵称(123456)”或“… 昵称<xx@qq.com>”
+const QQ_HEADER = /^(\d{4}-\d{1,2}-\d{1,2}) (\d{1,2}:\d{2}:\d{2}) (.+)$/;
+
+registerAdapter({
+    id: 'qq-txt',
+    name: 'QQ（消息管理器 txt）',
+    detect(text) {
+        if (/^\s*\[/.test(text) || /----CHAT-JSON----/.test(text)) return false;
+        const lines = text.split(/\r?\n/).slice(0, 40);
+        return lines.some(l => l.startsWith('消息对象:')) || lines.filter(l => QQ_HEADER.test(l)).length >= 2;
+    },
+    parse(text) {
+        const lines = text.replace(/^\ufeff/, '').split(/\r?\n/);
+        const target = (lines.find(l => l.startsWith('消息对象:')) || '').slice('消息对象:'.length).trim();
+        const messages = [];
+        let current = null;
+        const flush = () => {
+            if (!current) return;
+            const body = current.lines.join('\n').trim();
+            if (body) messages.push({ speaker: current.speaker, text: body, ts: current.ts });
+            current = null;
+        };
+        for (const line of lines) {
+            const m = QQ_HEADER.exec(line);
+            if (m) {
+                flush();
+                const [y, mo, d] = m[1].split('-').map(Number);
+                const [h, mi, s] = m[2].split(':').map(Number);
+                current = { speaker: m[3].trim(), ts: new Date(y, mo - 1, d, h, mi, s).getTime(), lines: [] };
+            } else if (current) {
+                current.lines.push(line);
+            }
+        }
+        flush();
+        // 昵称形如“名字(QQ号)”，与消息对象同名的建议映射为对方
+        const bare = (speaker) => speaker.replace(/[(<][^()<>]*[)>]$/, '').trim();
+        return finish(target, messages, m => (target ? (bare(m.speaker) === target ? 'assistant' : 'user') : null));
+    }
+});
+
+// ---------------- Telegram Desktop 导出的 result.json ----------------
+
+const TELEGRAM_MEDIA = { voice_message: '[语音]', video_message: '[视频消息]', video_file: '[视频]', audio_file: '[音频]', animation: '[动图]' };
+
+function telegramText(msg) {
+    const text = Array.isArray(msg.text)
+        ? msg.text.map(part => (typeof part === 'string' ? part : part.text || '')).join('')
+        : msg.text || '';
+    if (text.trim()) return text;
+    if (msg.photo) return '[图片]';
+    if (msg.media_type === 'sticker') return `[表情]${msg.sticker_emoji || ''}`;
+    if (msg.media_type && TELEGRAM_MEDIA[msg.media_type]) return TELEGRAM_MEDIA[msg.media_type];
+    if (msg.file) return '[文件]';
+    return '';
+}
+
+registerAdapter({
+    id: 'telegram-json',
+    name: 'Telegram（result.json）',
+    detect(text) {
+        if (!/^\s*\{/.test(text)) return false;
+        const data = JSON.parse(text);
+        return Array.isArray(data.messages) || !!(data.chats && Array.isArray(data.chats.list));
+    },
+    parse(text) {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data.messages)) {
+            throw new Error('这是 Telegram 的完整账号导出，请在 Telegram Desktop 中对单个聊天使用“导出聊天记录”（JSON 格式）后再导入');
+        }
+        const messages = [];
+        for (const msg of data.messages) {
+            if (msg.type !== 'message') continue; // service 消息（入群、置顶等）
+            const text = telegramText(msg);
+            if (!text.trim()) continue;
+            const ts = msg.date_unixtime ? parseInt(msg.date_unixtime, 10) * 1000 : Date.parse(msg.date);
+            messages.push({ speaker: msg.from_id || msg.from || 'unknown', label: msg.from || msg.from_id, text, ts: ts || 0 });
+        }
+        // 私聊导出的 name 为对方的名字
+        return finish(data.name || '', messages, m => (data.name ? (m.label === data.name ? 'assistant' : 'user') : null));
+    }
+});
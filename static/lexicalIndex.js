@@ -0,0 +1,123 @@
+// lexicalIndex.js
+// 本地词法检索：中文按二元/三元组切分、英文按单词切分，使用 BM25 打分
+// 支持增量增删文档，并可序列化保存，避免每次加载都重建
+
+const CJK_RUN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+/g;
+const WORD = /[a-z0-9]+/g;
+const EN_STOPWORDS = new Set(['the', 'a', 'an', 'is', 'are', 'was', 'to', 'of', 'and', 'or', 'in', 'on', 'it', 'i', 'you', 'me', 'my']);
+
+// 分词：中文连续片段产出 bigram + trigram（单字片段保留单字），英文/数字产出小写单词
+export function tokenize(text) {
+    const s = String(text || '').toLowerCase();
+    const tokens = [];
+    for (const run of s.match(CJK_RUN) || []) {
+        if (run.length === 1) {
+            tokens.push(run);
+            continue;
+        }
+        for (let i = 0; i < run.length - 1; i++) {
+            tokens.push(run.slice(i, i + 2));
+            if (i < run.length - 2) tokens.push(run.slice(i, i + 3));
+        }
+    }
+    for (const w of s.match(WORD) || []) {
+        if (w.length < 2 && !/\d/.test(w)) continue;
+        if (EN_STOPWORDS.has(w)) continue;
+        tokens.push(w);
+    }
+    return tokens;
+}
+
+export class LexicalIndex {
+    constructor({ k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.docs = new Map();   // id -> { len, tf: {token: count} }
+        this.df = new Map();     // token -> 文档频率
+        this.totalLen = 0;
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    has(id) {
+        return this.docs.has(id);
+    }
+
+    ids() {
+        return [...this.docs.keys()];
+    }
+
+    // 添加或替换文档
+    add(id, text) {
+        if (this.docs.has(id)) this.remove(id);
+        const tokens = tokenize(text);
+        const tf = {};
+        for (const t of tokens) tf[t] = (tf[t] || 0) + 1;
+        this._insert(id, tokens.length, tf);
+    }
+
+    _insert(id, len, tf) {
+        this.docs.set(id, { len, tf });
+        this.totalLen += len;
+        for (const t of Object.keys(tf)) this.df.set(t, (this.df.get(t) || 0) + 1);
+    }
+
+    remove(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return false;
+        this.docs.delete(id);
+        this.totalLen -= doc.len;
+        for (const t of Object.keys(doc.tf)) {
+            const n = (this.df.get(t) || 0) - 1;
+            if (n > 0) this.df.set(t, n); else this.df.delete(t);
+        }
+        return true;
+    }
+
+    // BM25 检索，返回 [{id, score}]（只包含得分大于 0 的文档）
+    search(query, limit = 5, filter = null) {
+        const N = this.docs.size;
+        if (!N) return [];
+        const terms = [...new Set(tokenize(query))].filter(t => this.df.has(t));
+        if (!terms.length) return [];
+        const avgLen = this.totalLen / N || 1;
+        const idf = {};
+        for (const t of terms) {
+            const df = this.df.get(t);
+            idf[t] = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+        }
+
+        const results = [];
+        for (const [id, doc] of this.docs) {
+            if (filter && !filter(id)) continue;
+            let score = 0;
+            for (const t of terms) {
+                const f = doc.tf[t];
+                if (!f) continue;
+                score += idf[t] * (f * (this.k1 + 1)) / (f + this.k1 * (1 - this.b + this.b * doc.len / avgLen));
+            }
+            if (score > 0) results.push({ id, score });
+        }
+        results.sort((a, b) => b.score - a.score);
+        return results.slice(0, limit);
+    }
+
+    // 序列化：只保存每个文档的词频，文档频率在加载时重算
+    toJSON() {
+        return {
+            version: 1,
+            k1: this.k1,
+            b: this.b,
+            docs: [...this.docs].map(([id, doc]) => [id, doc.len, doc.tf])
+        };
+    }
+
+    static fromJSON(data) {
+        const index = new LexicalIndex({ k1: data && data.k1, b: data && data.b });
+        if (!data || data.version !== 1 || !Array.isArray(data.docs)) return index;
+        for (const [id, len, tf] of data.docs) index._insert(id, len, tf);
+        return index;
+    }
+}
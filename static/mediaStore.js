@@ -0,0 +1,172 @@
+// mediaStore.js
+// 图片、表情与语音消息的媒体文件：以 Blob 保存在 IndexedDB 的 media 存储区，消息中只记录 media.id。
+// 记录 { id, conversationId, kind: 'image' | 'sticker' | 'voice', mime, width, height, duration, blob, createdAt }；
+// 表情面板里收藏的表情归属 STICKER_COLLECTION，发送时复制一份到会话，删除收藏不影响已发送的消息。
+// 口令模式下页面通过 setMediaKey 设置密钥：文件内容加密保存为 encryptedBlob（记录中没有明文的 blob），
+// 类型、尺寸、时长等元数据仍为明文；读取时解密还原为 blob
+
+import { STORES, idbPut, idbGet, idbDelete, idbTransaction, idbGetAllByIndex } from './db.js';
+import { encryptBytes, decryptBytes } from './crypto.js';
+
+export const STICKER_COLLECTION = '__stickers__';
+
+const MAX_IMAGE_SIDE = 1600;   // 发送前把大图缩小，避免数据库与备份文件过大
+const MAX_STICKER_SIDE = 320;
+const JPEG_QUALITY = 0.85;
+
+export const newMediaId = () => 'media_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+
+let mediaKey = null;
+
+export function setMediaKey(key) {
+    mediaKey = key;
+}
+
+async function sealMedia(record, key = mediaKey) {
+    if (!key || !record.blob) return record;
+    const { blob, ...rest } = record;
+    return { ...rest, mime: rest.mime || blob.type, encryptedBlob: await encryptBytes(key, await blob.arrayBuffer()) };
+}
+
+// 未设置密钥时加密的记录返回时没有 blob（按文件已丢失处理）
+async function openMedia(record, key = mediaKey) {
+    if (!record || !record.encryptedBlob) return record || null;
+    const { encryptedBlob, ...rest } = record;
+    if (!key) return rest;
+    return { ...rest, blob: new Blob([await decryptBytes(key, encryptedBlob)], { type: rest.mime || '' }) };
+}
+
+// 读取用户选择的图片：超过边长上限时按比例缩小（PNG 保持 PNG 以保留透明背景，其余转为 JPEG）；
+// GIF 原样保留以免丢失动画。返回 { blob, mime, width, height }
+export async function readImageFile(file, kind = 'image') {
+    if (!file || !/^image\//.test(file.type)) throw new Error('请选择图片文件');
+    const bitmap = await createImageBitmap(file);
+    const { width, height } = bitmap;
+    const maxSide = kind === 'sticker' ? MAX_STICKER_SIDE : MAX_IMAGE_SIDE;
+    const scale = Math.min(1, maxSide / Math.max(width, height));
+    if (file.type === 'image/gif' || (scale === 1 && /^image\/(jpeg|png|webp)$/.test(file.type))) {
+        bitmap.close();
+        return { blob: file, mime: file.type, width, height };
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    const mime = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, mime, JPEG_QUALITY));
+    if (!blob) throw new Error('无法处理这张图片');
+    return { blob, mime, width: canvas.width, height: canvas.height };
+}
+
+export async function saveMedia(record) {
+    const full = { id: record.id || newMediaId(), createdAt: Date.now(), ...record };
+    await idbPut(STORES.media, undefined, await sealMedia(full));
+    return full;
+}
+
+export async function getMedia(id) {
+    return openMedia(await idbGet(STORES.media, id));
+}
+
+export function deleteMedia(id) {
+    return idbDelete(STORES.media, id);
+}
+
+export async function listStickers() {
+    const records = await Promise.all((await idbGetAllByIndex(STORES.media, 'conversationId', STICKER_COLLECTION)).map(r => openMedia(r)));
+    return records.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+// 把已有的媒体（收藏的表情、或消息中的图片）复制为另一个归属的新记录
+export async function copyMedia(id, conversationId, kind) {
+    const source = await getMedia(id);
+    if (!source) return null;
+    return saveMedia({ ...source, id: newMediaId(), conversationId, kind: kind || source.kind, createdAt: Date.now() });
+}
+
+// 删除会话的全部媒体
+export async function deleteConversationMedia(conversationId) {
+    const existing = await idbGetAllByIndex(STORES.media, 'conversationId', conversationId);
+    if (!existing.length) return;
+    await idbTransaction(STORES.media, 'readwrite', (tx) => {
+        const store = tx.objectStore(STORES.media);
+        for (const r of existing) store.delete(r.id);
+    });
+}
+
+// 开启、更换或关闭口令后用新密钥（null 为明文）重写全部媒体；逐条读写，避免一次载入所有文件
+export async function rekeyMedia(oldKey, newKey) {
+    const ids = [];
+    await idbTransaction(STORES.media, 'readonly', (tx) => {
+        const req = tx.objectStore(STORES.media).openKeyCursor();
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+            ids.push(cursor.primaryKey);
+            cursor.continue();
+        };
+    });
+    for (const id of ids) {
+        const record = await openMedia(await idbGet(STORES.media, id), oldKey);
+        if (record && record.blob) await idbPut(STORES.media, undefined, await sealMedia(record, newKey));
+    }
+}
+
+// 忘记口令时删除无法再解密的媒体
+export function deleteEncryptedMedia() {
+    return idbTransaction(STORES.media, 'readwrite', (tx) => {
+        const req = tx.objectStore(STORES.media).openCursor();
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+            if (cursor.value.encryptedBlob) cursor.delete();
+            cursor.continue();
+        };
+    });
+}
+
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+export async function dataUrlToBlob(dataUrl) {
+    const resp = await fetch(dataUrl);
+    return resp.blob();
+}
+
+// 导出：按 id 读取媒体并转为 data URL，[{ id, kind, mime, width, height, createdAt, dataUrl }]；找不到的 id 跳过
+export async function exportMedia(ids) {
+    const out = [];
+    for (const id of new Set(ids)) {
+        const r = await getMedia(id);
+        if (!r || !r.blob) continue;
+        const { blob, conversationId, ...rest } = r;
+        out.push({ ...rest, dataUrl: await blobToDataUrl(blob) });
+    }
+    return out;
+}
+
+// 导入：把导出的媒体写入指定会话。每条换用新 id（同一备份导入多次、或原会话仍在时互不影响），
+// 返回 Map(导出时的 id -> 新 id)，调用方据此改写消息中的 media.id
+export async function importMedia(list, conversationId) {
+    const ids = new Map();
+    for (const item of Array.isArray(list) ? list : []) {
+        if (!item || !item.id || typeof item.dataUrl !== 'string' || !/^data:(image|audio)\//.test(item.dataUrl)) continue;
+        try {
+            const { dataUrl, id, ...rest } = item;
+            const blob = await dataUrlToBlob(dataUrl);
+            const kind = blob.type.startsWith('audio/') ? 'voice' : (item.kind === 'sticker' ? 'sticker' : 'image');
+            const saved = await saveMedia({ ...rest, id: newMediaId(), conversationId, kind, mime: blob.type || item.mime, blob });
+            ids.set(id, saved.id);
+        } catch (e) {
+            console.warn('导入媒体失败:', item.id, e);
+        }
+    }
+    return ids;
+}
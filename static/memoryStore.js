@@ -0,0 +1,92 @@
+// memoryStore.js
+// 分层记忆的持久化：每条记忆在 IndexedDB "memories" 存储区中占一条记录
+// {conversationId, id, layer, data}，随 MemorySystem 的每次变更写入，启动时按会话读回。
+// 口令模式下传入 key（口令派生的密钥），记录保存为 {conversationId, id, layer, encrypted}，记忆内容不以明文落盘
+
+import { STORES, idbTransaction, idbGetAllByIndex } from './db.js';
+import { encryptText, decryptText } from './crypto.js';
+
+const LAYER_NAMES = ['shortTerm', 'mediumTerm', 'longTerm'];
+
+async function sealRecord({ conversationId, id, layer, data }, key) {
+    if (!key) return { conversationId, id, layer, data };
+    return { conversationId, id, layer, encrypted: await encryptText(key, JSON.stringify(data)) };
+}
+
+async function openRecord(record, key) {
+    const { conversationId, id, layer } = record;
+    if (!record.encrypted) return { conversationId, id, layer, data: record.data };
+    if (!key) throw new Error('记忆已加密，请先输入口令解锁');
+    return { conversationId, id, layer, data: JSON.parse(await decryptText(key, record.encrypted)) };
+}
+
+// 读取会话的全部记录并解密：[{ conversationId, id, layer, data }]
+export async function readMemoryRecords(conversationId, key = null) {
+    const records = await idbGetAllByIndex(STORES.memories, 'conversationId', conversationId);
+    return Promise.all(records.map(r => openRecord(r, key)));
+}
+
+// 写入记录（同一主键覆盖）；key 不为空时加密后写入。更换口令时用新密钥重写读出的记录
+export async function writeMemoryRecords(records, key = null) {
+    if (!records.length) return;
+    const sealed = await Promise.all(records.map(r => sealRecord(r, key)));
+    await idbTransaction(STORES.memories, 'readwrite', (tx) => {
+        const store = tx.objectStore(STORES.memories);
+        for (const r of sealed) store.put(r);
+    });
+}
+
+// 读取会话的记忆层；没有任何记录时返回 null
+export async function loadMemoryLayers(conversationId, key = null) {
+    const records = await readMemoryRecords(conversationId, key);
+    if (!records.length) return null;
+    const layers = { shortTerm: [], mediumTerm: [], longTerm: [] };
+    for (const r of records) {
+        (layers[r.layer] || layers.shortTerm).push(r.data);
+    }
+    // 记录按主键排序，恢复为按创建时间的顺序
+    for (const name of LAYER_NAMES) layers[name].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    return layers;
+}
+
+// 写入一次增量变更：先删除 removed，再写入 added（同一条记忆换层时会同时出现在两边）
+export async function applyMemoryChange(conversationId, memorySystem, { added = [], removed = [] }, key = null) {
+    if (!added.length && !removed.length) return;
+    const records = [];
+    for (const m of added) {
+        const layer = memorySystem.layerOf(m);
+        if (layer) records.push(await sealRecord({ conversationId, id: m.id, layer, data: m }, key));
+    }
+    await idbTransaction(STORES.memories, 'readwrite', (tx) => {
+        const store = tx.objectStore(STORES.memories);
+        for (const m of removed) store.delete([conversationId, m.id]);
+        for (const r of records) store.put(r);
+    });
+}
+
+// 用当前记忆系统的全部内容覆盖会话的记录（导入或整体重置后调用）
+export async function replaceMemories(conversationId, memorySystem, key = null) {
+    const existing = await idbGetAllByIndex(STORES.memories, 'conversationId', conversationId);
+    const records = [];
+    for (const name of LAYER_NAMES) {
+        for (const m of memorySystem.layers[name].memories) {
+            records.push(await sealRecord({ conversationId, id: m.id, layer: name, data: m }, key));
+        }
+    }
+    await idbTransaction(STORES.memories, 'readwrite', (tx) => {
+        const store = tx.objectStore(STORES.memories);
+        for (const r of existing) store.delete([conversationId, r.id]);
+        for (const r of records) store.put(r);
+    });
+}
+
+// 删除会话的全部记忆；encryptedOnly 为 true 时只删除加密的记录（忘记口令时）
+export async function deleteConversationMemories(conversationId, { encryptedOnly = false } = {}) {
+    const existing = (await idbGetAllByIndex(STORES.memories, 'conversationId', conversationId))
+        .filter(r => !encryptedOnly || r.encrypted);
+    if (!existing.length) return;
+    await idbTransaction(STORES.memories, 'readwrite', (tx) => {
+        const store = tx.objectStore(STORES.memories);
+        for (const r of existing) store.delete([conversationId, r.id]);
+    });
+}
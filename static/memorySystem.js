@@ -1,6 +1,9 @@
 // memorySystem.js
 // 分层记忆系统实现
 
+import { MEMORY_CONFIG } from './config.js';
+import { summarizeWithSources, summaryItems, reviseSummary } from './summarizer.js';
+
 export class MemoryLayer {
     constructor(name, maxAge, compressionRate) {
         this.name = name;
@@ -10,54 +13,96 @@ export class MemoryLayer {
     }
 }
 
+// 记忆对应的来源消息 id：单条消息记忆取 content.id，合并记忆取 sourceIds
+function sourceIdsOf(memory) {
+    if (Array.isArray(memory.sourceIds)) return memory.sourceIds;
+    return memory.content && memory.content.id ? [memory.content.id] : [];
+}
+
 export class MemorySystem {
     constructor() {
-        // 初始化三层记忆
+        // 初始化三层记忆（时长与压缩率见 MEMORY_CONFIG.layers）
+        const { shortTerm, mediumTerm, longTerm } = MEMORY_CONFIG.layers;
         this.layers = {
-            shortTerm: new MemoryLayer('short', 7 * 24 * 60 * 60 * 1000, 1.0),    // 7天，不压缩
-            mediumTerm: new MemoryLayer('medium', 30 * 24 * 60 * 60 * 1000, 0.5), // 30天，压缩50%
-            longTerm: new MemoryLayer('long', Infinity, 0.2)                       // 永久，压缩80%
+            shortTerm: new MemoryLayer('short', shortTerm.maxAge, shortTerm.compressionRate),
+            mediumTerm: new MemoryLayer('medium', mediumTerm.maxAge, mediumTerm.compressionRate),
+            longTerm: new MemoryLayer('long', longTerm.maxAge, longTerm.compressionRate)
         };
-        
-        // 设置自动压缩的时间间隔
-        this.lastCompressionTime = Date.now();
-        this.compressionInterval = 24 * 60 * 60 * 1000; // 每24小时压缩一次
+        // 压缩不再由 addMemory 触发，而是由 CompactionScheduler 按 compressionSchedule 定时执行
+
+        // 变更监听（检索索引等据此增量更新）
+        this.listeners = [];
+    }
+
+    // 订阅记忆变更：listener({ added, removed, reset })，返回取消订阅函数
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    _emit(change) {
+        for (const listener of this.listeners) {
+            try {
+                listener({ added: [], removed: [], reset: false, ...change });
+            } catch (e) {
+                console.warn('记忆变更监听出错:', e);
+            }
+        }
+    }
+
+    // 所有层的记忆
+    allMemories() {
+        return [
+            ...this.layers.shortTerm.memories,
+            ...this.layers.mediumTerm.memories,
+            ...this.layers.longTerm.memories
+        ];
+    }
+
+    // 记忆所在的层名（shortTerm / mediumTerm / longTerm），不在任何层时返回 null
+    layerOf(memory) {
+        for (const [name, layer] of Object.entries(this.layers)) {
+            if (layer.memories.includes(memory)) return name;
+        }
+        return null;
+    }
+
+    // 从持久化存储装载各层记忆：不触发压缩，也不通知监听者
+    loadLayers(layers) {
+        this.layers.shortTerm.memories = (layers && layers.shortTerm) || [];
+        this.layers.mediumTerm.memories = (layers && layers.mediumTerm) || [];
+        this.layers.longTerm.memories = (layers && layers.longTerm) || [];
+        for (const m of this.allMemories()) {
+            m.id = m.id || `memory_${m.createdAt || Date.now()}_${Math.random().toString(36).slice(2)}`;
+        }
     }
 
     // 添加新记忆
     async addMemory(memory) {
+        memory.id = memory.id || `memory_${Date.now()}_${Math.random().toString(36).slice(2)}`;
         memory.createdAt = memory.createdAt || Date.now();
         memory.lastAccessed = Date.now();
         memory.accessCount = 0;
         
         // 默认加入短期记忆
         this.layers.shortTerm.memories.push(memory);
-        
-        // 检查是否需要压缩
-        await this.checkCompression();
+        this._emit({ added: [memory] });
         
         return memory;
     }
 
-    // 检查并执行记忆压缩
-    async checkCompression() {
-        const now = Date.now();
-        
-        // 每24小时执行一次压缩
-        if (now - this.lastCompressionTime >= this.compressionInterval) {
-            console.log('执行定期记忆压缩...');
-            await this.compressMemories();
-            this.lastCompressionTime = now;
-        }
-    }
-
-    // 压缩记忆
+    // 压缩记忆：过期的短期记忆压入中期，过期的中期记忆压入长期。
+    // 返回本次移动的条数：{ shortToMedium, mediumCreated, mediumToLong, longCreated }
     async compressMemories() {
         const now = Date.now();
+        const report = { shortToMedium: 0, mediumCreated: 0, mediumToLong: 0, longCreated: 0 };
         
         // 处理短期到中期的转移
+        // 置顶的记忆保持原样，不参与压缩
         const expiredShortTerm = this.layers.shortTerm.memories.filter(
-            m => now - m.createdAt > this.layers.shortTerm.maxAge
+            m => !m.pinned && now - m.createdAt > this.layers.shortTerm.maxAge
         );
         
         if (expiredShortTerm.length > 0) {
@@ -66,13 +111,16 @@ export class MemorySystem {
             
             // 移除已压缩的短期记忆
             this.layers.shortTerm.memories = this.layers.shortTerm.memories.filter(
-                m => now - m.createdAt <= this.layers.shortTerm.maxAge
+                m => !expiredShortTerm.includes(m)
             );
+            this._emit({ added: compressed, removed: expiredShortTerm });
+            report.shortToMedium = expiredShortTerm.length;
+            report.mediumCreated = compressed.length;
         }
         
         // 处理中期到长期的转移
         const expiredMediumTerm = this.layers.mediumTerm.memories.filter(
-            m => now - m.createdAt > this.layers.mediumTerm.maxAge
+            m => !m.pinned && now - m.createdAt > this.layers.mediumTerm.maxAge
         );
         
         if (expiredMediumTerm.length > 0) {
@@ -81,9 +129,51 @@ export class MemorySystem {
             
             // 移除已压缩的中期记忆
             this.layers.mediumTerm.memories = this.layers.mediumTerm.memories.filter(
-                m => now - m.createdAt <= this.layers.mediumTerm.maxAge
+                m => !expiredMediumTerm.includes(m)
             );
+            this._emit({ added: compressed, removed: expiredMediumTerm });
+            report.mediumToLong = expiredMediumTerm.length;
+            report.longCreated = compressed.length;
+        }
+
+        return report;
+    }
+
+    // 整理长期记忆：合并主题相同的长期记忆（每周执行）。返回 { longBefore, longAfter }
+    async consolidateLongTerm() {
+        const all = this.layers.longTerm.memories;
+        const pinned = all.filter(m => m.pinned);
+        const before = all.filter(m => !m.pinned);
+        if (before.length < 2) return { longBefore: all.length, longAfter: all.length };
+        const merged = await this._compressMemoryGroup(before, this.layers.longTerm.compressionRate);
+        this.layers.longTerm.memories = [...pinned, ...merged];
+        this._emit({ added: merged, removed: before });
+        return { longBefore: all.length, longAfter: pinned.length + merged.length };
+    }
+
+    // 包含某条消息的记忆：优先返回该消息自己的单条记忆，其次是合并了它的记忆
+    memoryForMessage(messageId) {
+        const all = this.allMemories();
+        return all.find(m => m.content && m.content.id === messageId)
+            || all.find(m => sourceIdsOf(m).includes(messageId))
+            || null;
+    }
+
+    // 置顶 / 取消置顶：置顶的记忆不参与压缩，并且每次都会放入上下文（见 CONTEXT_BUDGET.sections.pinned）
+    setPinned(memory, pinned) {
+        if (pinned) {
+            memory.pinned = true;
+            memory.pinnedAt = Date.now();
+        } else {
+            delete memory.pinned;
+            delete memory.pinnedAt;
         }
+        this._emit({ added: [memory] });
+        return memory;
+    }
+
+    pinnedMemories() {
+        return this.allMemories().filter(m => m.pinned);
     }
 
     // 压缩记忆组
@@ -103,10 +193,12 @@ export class MemorySystem {
             
             // 合并相似记忆
             try {
-                const mergedSummary = await this._mergeSummaries(group);
+                const { summary, lineSources } = await this._mergeSummaries(group);
                 results.push({
                     id: `memory_${Date.now()}_${Math.random().toString(36).slice(2)}`,
-                    summary: mergedSummary,
+                    summary,
+                    ...(Array.isArray(lineSources) ? { lineSources } : {}), // 每行的来源消息 id
+                    sourceIds: [...new Set(group.flatMap(sourceIdsOf))], // 来源消息 id，编辑/删除消息时据此同步
                     createdAt: Math.min(...group.map(m => m.createdAt)),
                     lastAccessed: Date.now(),
                     accessCount: Math.max(...group.map(m => m.accessCount || 0)),
@@ -121,6 +213,50 @@ export class MemorySystem {
         return results;
     }
 
+    // 消息被编辑（newText）或删除（newText 为 null）后同步记忆，返回受影响的条数。
+    // 单条消息的记忆直接更新或移除；合并记忆只改动属于这条消息的整行（见 reviseSummary，与记忆块的处理相同），
+    // 删除时找不到原文的合并记忆（如摘要接口改写过）整条移除，避免被删内容经检索回到上下文
+    // role 为消息的角色，用于在没有行来源的旧摘要中核对说话人
+    reviseMessage(messageId, oldText, newText = null, role = null) {
+        const added = [];
+        const removed = [];
+        for (const layer of Object.values(this.layers)) {
+            const kept = [];
+            for (const m of layer.memories) {
+                const single = !!m.content && m.content.id === messageId;
+                const merged = !single && Array.isArray(m.sourceIds) && m.sourceIds.includes(messageId);
+                if (!single && !merged) {
+                    kept.push(m);
+                    continue;
+                }
+                let updated = null;
+                if (single) {
+                    if (newText !== null) updated = { ...m, summary: newText, content: { ...m.content, text: newText } };
+                } else {
+                    const revised = reviseSummary(m.summary, m.lineSources, { id: messageId, text: oldText, role }, newText);
+                    if (revised) {
+                        const sourceIds = newText === null ? m.sourceIds.filter(id => id !== messageId) : m.sourceIds;
+                        if (revised.summary && sourceIds.length) {
+                            updated = { ...m, summary: revised.summary, sourceIds };
+                            if (revised.lineSources) updated.lineSources = revised.lineSources;
+                        }
+                    } else if (newText !== null) {
+                        kept.push(m); // 编辑时无法定位原文：保留原摘要
+                        continue;
+                    }
+                }
+                removed.push(m);
+                if (updated) {
+                    added.push(updated);
+                    kept.push(updated);
+                }
+            }
+            layer.memories = kept;
+        }
+        if (added.length || removed.length) this._emit({ added, removed });
+        return removed.length;
+    }
+
     // 按主题分组
     _groupByTopic(memories) {
         const groups = {};
@@ -141,29 +277,32 @@ export class MemorySystem {
         return Array.from(new Set([...zhWords, ...enWords]));
     }
 
-    // 合并摘要
+    // 合并摘要，返回 { summary, lineSources }。单条消息的记忆以消息 id 为来源，合并记忆按已记录的行来源拆开
     async _mergeSummaries(memories) {
+        const targetTokens = Math.floor(MEMORY_CONFIG.summarization.maxTokens * this.layers.longTerm.compressionRate);
+        const items = memories.flatMap(m => (m.content && m.content.id
+            ? [{ role: 'system', text: m.summary, id: m.content.id }]
+            : summaryItems(m.summary, m.lineSources)));
         try {
-            const combinedText = memories.map(m => m.summary).join('\n---\n');
             const resp = await fetch('/api/summarize', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
-                    messages: [{ role: 'system', text: combinedText }],
-                    target_token: Math.floor(300 * this.layers.longTerm.compressionRate)
+                    messages: items,
+                    target_token: targetTokens
                 })
             });
             
             if (resp.ok) {
                 const data = await resp.json();
-                if (data.summary) return data.summary;
+                if (data.summary) return { summary: data.summary, lineSources: data.line_sources || null };
             }
         } catch (e) {
             console.warn('调用摘要API失败:', e);
         }
         
-        // 失败时返回简单合并
-        return memories.map(m => m.summary).join('\n---\n');
+        // 接口不可用时在本地做抽取式摘要
+        return summarizeWithSources(items, { targetTokens });
     }
 
     // 搜索相关记忆
@@ -250,6 +389,11 @@ export class MemorySystem {
             this.layers.shortTerm.memories = data.layers.shortTerm || [];
             this.layers.mediumTerm.memories = data.layers.mediumTerm || [];
             this.layers.longTerm.memories = data.layers.longTerm || [];
+            // 旧数据中的记忆可能没有 id，补齐以便索引
+            for (const m of this.allMemories()) {
+                m.id = m.id || `memory_${m.createdAt || Date.now()}_${Math.random().toString(36).slice(2)}`;
+            }
+            this._emit({ reset: true });
             
             // 立即执行一次压缩以整理记忆
             await this.compressMemories();
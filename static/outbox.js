@@ -0,0 +1,114 @@
+// outbox.js
+// 待发送队列：请求回复失败的用户消息进入队列，按指数退避自动重试，网络恢复时立即重试。
+// 队列只记录消息 id 与重试状态（消息内容在会话快照中，口令模式下随快照加密），刷新页面后继续重试。
+// 条目：{ conversationId, messageId, attempts, nextAttemptAt, lastError, failedAt }；
+// 连续失败 MAX_ATTEMPTS 次后 nextAttemptAt 为 null，不再自动重试，等待手动重试或网络恢复
+
+const BASE_DELAY = 2000;
+const MAX_ATTEMPTS = 10;
+const MAX_DELAY = 5 * 60 * 1000;
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// 第 attempts 次失败后的等待时间：2s、4s、8s … 最长 5 分钟，带 ±20% 抖动避免多个标签页同时重试
+export function retryDelay(attempts) {
+    const base = Math.min(MAX_DELAY, BASE_DELAY * 2 ** Math.max(0, attempts - 1));
+    return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+export class Outbox {
+    // load / save：读写整个队列；onDue()：有条目到期（或网络恢复）时调用，由调用方决定重试哪条；
+    // eligible(item)：当前可以重试的条目（例如只重试当前会话的），只为这些条目定时
+    constructor({ load, save, onDue, eligible = () => true }) {
+        this.load = load;
+        this.save = save;
+        this.onDue = onDue;
+        this.eligible = eligible;
+        this.items = [];
+        this._timer = null;
+        this._onOnline = () => this.retryNow();
+    }
+
+    async start() {
+        try {
+            const stored = await this.load();
+            this.items = Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            console.warn('读取待发送队列失败:', e);
+            this.items = [];
+        }
+        if (typeof window !== 'undefined') window.addEventListener('online', this._onOnline);
+        this.schedule();
+    }
+
+    list(conversationId) {
+        return this.items.filter(item => item.conversationId === conversationId);
+    }
+
+    get(messageId) {
+        return this.items.find(item => item.messageId === messageId) || null;
+    }
+
+    // 记录一次发送失败并安排下次重试
+    async fail(conversationId, messageId, error) {
+        let item = this.get(messageId);
+        if (!item) {
+            item = { conversationId, messageId, attempts: 0, failedAt: Date.now() };
+            this.items.push(item);
+        }
+        item.attempts += 1;
+        item.lastError = String((error && error.message) || error || '');
+        item.nextAttemptAt = item.attempts >= MAX_ATTEMPTS ? null : Date.now() + retryDelay(item.attempts);
+        await this._persist();
+        return item;
+    }
+
+    async remove(messageId) {
+        const before = this.items.length;
+        this.items = this.items.filter(item => item.messageId !== messageId);
+        if (this.items.length !== before) await this._persist();
+    }
+
+    // 会话收到了回复（或被删除）：清空该会话的条目，返回被清除的消息 id
+    async clear(conversationId) {
+        const cleared = this.list(conversationId).map(item => item.messageId);
+        if (!cleared.length) return cleared;
+        this.items = this.items.filter(item => item.conversationId !== conversationId);
+        await this._persist();
+        return cleared;
+    }
+
+    // 立即重试（手动点击或网络恢复）
+    retryNow() {
+        if (!this.items.length) return;
+        const now = Date.now();
+        for (const item of this.items) item.nextAttemptAt = item.nextAttemptAt === null ? now : Math.min(item.nextAttemptAt, now);
+        this.schedule();
+    }
+
+    // 已到期且可以重试的条目
+    due(now = Date.now()) {
+        return this.items.filter(item => item.nextAttemptAt !== null && item.nextAttemptAt <= now && this.eligible(item));
+    }
+
+    async _persist() {
+        try {
+            await this.save(this.items);
+        } catch (e) {
+            console.warn('保存待发送队列失败:', e);
+        }
+        this.schedule();
+    }
+
+    // 定时到最早的重试时间；eligible 的结果变化（如切换会话）后应重新调用
+    schedule() {
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+        const items = this.items.filter(item => item.nextAttemptAt !== null && this.eligible(item));
+        if (!items.length) return;
+        const next = Math.min(...items.map(item => item.nextAttemptAt));
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this.onDue();
+        }, Math.min(Math.max(0, next - Date.now()), MAX_TIMEOUT));
+    }
+}
@@ -0,0 +1,158 @@
+// proactiveScheduler.js
+// 主动消息：用户同意后由人设主动发起对话——每天设定的时间道早安，或在一段时间没有聊天后问候。
+// 没有推送服务，只在页面打开时（包括后台标签页）运行；每个会话记录上次主动发送的时间，避免重复发送。
+// 设置 { enabled, morningTime: 'HH:MM'（空为不道早安）, inactivityHours（0 为不问候） }；
+// 状态 { sentAt, morningSentAt, attemptAt }（attemptAt 为上次失败的时间）
+
+import { lastOccurrence, nextOccurrence, parseScheduleTime } from './compactionScheduler.js';
+import { PROACTIVE_CONFIG } from './config.js';
+
+const HOUR = 60 * 60 * 1000;
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// 补齐默认值并校验：无法解析的早安时间视为关闭
+export function normalizeProactiveSettings(raw) {
+    const s = { ...PROACTIVE_CONFIG.defaults, ...(raw && typeof raw === 'object' ? raw : {}) };
+    let morningTime = typeof s.morningTime === 'string' ? s.morningTime.trim() : '';
+    if (morningTime) {
+        try {
+            const { day, hour, minute } = parseScheduleTime(morningTime);
+            if (day !== null || hour > 23 || minute > 59) morningTime = '';
+        } catch (_) {
+            morningTime = '';
+        }
+    }
+    const hours = Number(s.inactivityHours);
+    return { enabled: !!s.enabled, morningTime, inactivityHours: hours > 0 ? hours : 0 };
+}
+
+// 此刻应发送的主动消息：{ reason: 'morning' } | { reason: 'inactivity', silenceHours } | null。
+// lastTs 为会话最后一条消息的时间
+export function dueTrigger(settings, state, lastTs, now = Date.now()) {
+    if (!settings.enabled) return null;
+    if (state.attemptAt && now - state.attemptAt < PROACTIVE_CONFIG.retryDelay) return null;
+    if (settings.morningTime) {
+        const at = lastOccurrence(settings.morningTime, now);
+        // 错过太久（如晚上才打开页面）不补发；早安时间之后已经聊过也不发
+        if (now - at <= PROACTIVE_CONFIG.morningWindow && (state.morningSentAt || 0) < at && (lastTs || 0) < at) {
+            return { reason: 'morning' };
+        }
+    }
+    if (settings.inactivityHours > 0 && lastTs) {
+        const silence = now - lastTs;
+        // 上一条主动消息之后对方没有再说话时不再追问
+        if (silence >= settings.inactivityHours * HOUR && lastTs > (state.sentAt || 0)) {
+            return { reason: 'inactivity', silenceHours: Math.floor(silence / HOUR) };
+        }
+    }
+    return null;
+}
+
+// 下一次可能有消息到期的时间；没有时返回 null
+export function nextCheckAt(settings, state, lastTs, now = Date.now()) {
+    if (!settings.enabled) return null;
+    const times = [];
+    if (settings.morningTime) times.push(nextOccurrence(settings.morningTime, now));
+    if (settings.inactivityHours > 0 && lastTs) times.push(lastTs + settings.inactivityHours * HOUR);
+    if (state.attemptAt) times.push(state.attemptAt + PROACTIVE_CONFIG.retryDelay);
+    const future = times.filter(t => t > now);
+    return future.length ? Math.min(...future) : null;
+}
+
+export class ProactiveScheduler {
+    // getSettings()：当前设置；lastMessageTs()：当前会话最后一条消息的时间；
+    // canSend()：此刻能否发送（没有正在接收的回复、没有等待回复的消息、在线）；
+    // send(trigger)：生成并显示主动消息，成功时返回 true；loadState / saveState：按作用域（会话 id）读写状态
+    constructor({ getSettings, lastMessageTs, canSend, send, loadState, saveState }) {
+        this.getSettings = getSettings;
+        this.lastMessageTs = lastMessageTs;
+        this.canSend = canSend;
+        this.send = send;
+        this.loadState = loadState;
+        this.saveState = saveState;
+        this.scope = null;
+        this.state = null;
+        this._timer = null;
+        this._running = false;
+        // 后台标签页的定时器会被浏览器推迟，回到前台时立即检查
+        this._onVisible = () => {
+            if (document.visibilityState === 'visible') this.check();
+        };
+    }
+
+    async start(scope) {
+        this.stop();
+        this.scope = scope;
+        let state = null;
+        try {
+            state = await this.loadState(scope);
+        } catch (e) {
+            console.warn('读取主动消息状态失败:', e);
+        }
+        if (scope !== this.scope) return;
+        this.state = state || {};
+        if (typeof document !== 'undefined') document.addEventListener('visibilitychange', this._onVisible);
+        await this.check();
+    }
+
+    // 停止后 check() 不再发送，直到再次 start()
+    stop() {
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+        this.scope = null;
+        this.state = null;
+        if (typeof document !== 'undefined') document.removeEventListener('visibilitychange', this._onVisible);
+    }
+
+    // 发送到期的主动消息并定时到下一次检查；设置变更后也调用此方法
+    async check() {
+        if (this._running || !this.state) return;
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+        const settings = this.getSettings();
+        const trigger = dueTrigger(settings, this.state, this.lastMessageTs());
+        if (trigger) {
+            if (!this.canSend()) {
+                this._arm(Date.now() + PROACTIVE_CONFIG.busyDelay);
+                return;
+            }
+            await this._run(trigger);
+            if (!this.state) return; // 发送期间已停止
+        }
+        this._arm(nextCheckAt(this.getSettings(), this.state, this.lastMessageTs()));
+    }
+
+    async _run(trigger) {
+        const scope = this.scope;
+        const state = this.state;
+        this._running = true;
+        let ok = false;
+        try {
+            ok = await this.send(trigger);
+        } catch (e) {
+            console.warn('主动消息发送失败:', e);
+        } finally {
+            this._running = false;
+        }
+        const now = Date.now();
+        if (ok) {
+            state.sentAt = now;
+            if (trigger.reason === 'morning') state.morningSentAt = now;
+            delete state.attemptAt;
+        } else {
+            state.attemptAt = now;
+        }
+        try {
+            await this.saveState(scope, state);
+        } catch (e) {
+            console.warn('保存主动消息状态失败:', e);
+        }
+    }
+
+    _arm(at) {
+        if (this._timer) clearTimeout(this._timer);
+        this._timer = null;
+        if (at === null || !this.state) return;
+        this._timer = setTimeout(() => this.check(), Math.min(Math.max(0, at - Date.now()) + 1000, MAX_TIMEOUT));
+    }
+}
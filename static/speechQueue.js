@@ -0,0 +1,119 @@
+// speechQueue.js
+// 朗读队列：多条气泡的语音按加入顺序通过同一个 <audio> 逐条播放，不会互相覆盖。
+// 语音由 synthesize(text, item) 生成（返回 Blob，页面负责缓存与请求语音接口）；播放当前条时预先生成下一条，减少间隔。
+// 条目状态通过 onState(item, state) 通知页面：'queued' | 'loading' | 'playing' | null（结束、跳过或停止）
+
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+export class SpeechQueue {
+    // onChange()：队列开始、结束或切换条目时调用（用于显示控制条）；onError(item, error)：生成或播放失败，随后继续下一条
+    constructor({ audio, synthesize, rate = 1, onState = () => {}, onChange = () => {}, onError = () => {} }) {
+        this.audio = audio;
+        this.synthesize = synthesize;
+        this.onState = onState;
+        this.onChange = onChange;
+        this.onError = onError;
+        this.items = [];
+        this.current = null;
+        this.setRate(rate);
+    }
+
+    get active() {
+        return !!this.current || this.items.length > 0;
+    }
+
+    // 加入队列末尾；el 为气泡元素，extra 原样保留在条目上（如 { manual: true }）
+    enqueue(el, text, extra = {}) {
+        if (!text || !text.trim()) return null;
+        const item = { ...extra, el, text, loading: null, url: null };
+        this.items.push(item);
+        this.onState(item, 'queued');
+        if (this.current) this.onChange(); else this._next();
+        return item;
+    }
+
+    // 清空队列后立即播放这一条（手动点击“转语音”）
+    playNow(el, text, extra = {}) {
+        this.stop();
+        return this.enqueue(el, text, extra);
+    }
+
+    skip() {
+        if (!this.current) return;
+        this._finish(this.current);
+        this._next();
+    }
+
+    stop() {
+        const pending = this.items;
+        this.items = [];
+        for (const item of pending) this.onState(item, null);
+        if (this.current) this._finish(this.current);
+        this.onChange();
+    }
+
+    setRate(rate) {
+        this.rate = PLAYBACK_RATES.includes(Number(rate)) ? Number(rate) : 1;
+        // 更换 src 时 playbackRate 会重置为 defaultPlaybackRate，两者都要设置
+        this.audio.defaultPlaybackRate = this.rate;
+        this.audio.playbackRate = this.rate;
+    }
+
+    _load(item) {
+        if (!item.loading) {
+            item.loading = Promise.resolve().then(() => this.synthesize(item.text, item));
+            item.loading.catch(() => {}); // 预先生成的条目在轮到它播放时再处理错误
+        }
+        return item.loading;
+    }
+
+    async _next() {
+        const item = this.items.shift();
+        this.current = item || null;
+        this.onChange();
+        if (!item) return;
+        this.onState(item, 'loading');
+        let blob;
+        try {
+            blob = await this._load(item);
+        } catch (e) {
+            if (this.current !== item) return;
+            this.onError(item, e);
+            this._finish(item);
+            this._next();
+            return;
+        }
+        if (this.current !== item) return; // 生成期间被跳过或停止
+
+        item.url = URL.createObjectURL(blob);
+        const audio = this.audio;
+        const done = (error) => {
+            if (this.current !== item) return;
+            if (error) this.onError(item, error);
+            this._finish(item);
+            this._next();
+        };
+        audio.onended = () => done();
+        audio.onerror = () => done(audio.error || new Error('无法播放语音'));
+        audio.src = item.url;
+        audio.playbackRate = this.rate;
+        this.onState(item, 'playing');
+        if (this.items[0]) this._load(this.items[0]);
+        audio.play().catch(e => done(e));
+    }
+
+    _finish(item) {
+        const audio = this.audio;
+        audio.onended = null;
+        audio.onerror = null;
+        if (item.url) {
+            audio.pause();
+            audio.removeAttribute('src');
+            audio.load();
+            URL.revokeObjectURL(item.url);
+            item.url = null;
+        }
+        if (this.current === item) this.current = null;
+        this.onState(item, null);
+    }
+}
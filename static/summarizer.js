@@ -0,0 +1,224 @@
+// summarizer.js
+// 不依赖外部模型的抽取式摘要：把对话切成句子，用 TextRank 给句子打分，按 target_token 选出最重要的句子并按原顺序输出。
+// 页面的本地压缩（记忆块、合并记忆块、合并分层记忆）与 Worker 的 /api/summarize 共用此实现。
+// 输入条目带 id 时记录每一行来自哪条消息（lineSources），编辑或删除消息时据此只改动该消息的行
+
+import { estimateTokens } from './tokenizer.js';
+
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 50;
+const CONVERGENCE = 1e-4;
+const MAX_SENTENCES = 400;   // 句子过多时只取均匀抽样的部分参与排序，避免 O(n²) 的相似度矩阵过大
+const DUPLICATE_SIMILARITY = 0.7;
+
+// 不单独构成话题的常用字：两个字都在其中的二元组不作为词项
+const STOP_CHARS = new Set('的了是我你他她它们在和也就都吗呢吧啊呀哦嗯哈这那有不个一么什怎没要会还很好说去来到着过把被给让又再才对'.split(''));
+
+// 摘要输入中的说话人前缀（“我: …”）与需要跳过的标题行（之前生成的摘要头部）
+const SPEAKER_PREFIX = /^(我|男友|对方)\s*[:：]\s*/;
+const HEADER_LINE = /^(?:\[?历史对话[\s\d-]*\]?[:：]?|消息数[:：].*|关键词[:：].*|对话片段[:：]|-{3,})$/;
+
+// CJK 友好的分句：中文句末标点、英文句末标点后跟空白、换行；句末标点与引号保留在句内
+export function splitSentences(text) {
+    const out = [];
+    for (const line of String(text || '').split(/\n+/)) {
+        const parts = line.match(/[^。！？!?；;…]+(?:[。！？!?；;…]+[”’」』）)]*|$)/g) || [];
+        for (const part of parts) {
+            for (const s of part.split(/(?<=[.!?])\s+(?=[A-Z0-9"'])/)) {
+                if (s.trim()) out.push(s.trim());
+            }
+        }
+    }
+    return out;
+}
+
+// 句子的词项：汉字二元组（去掉全由常用字组成的）、英文单词与数字
+function terms(sentence) {
+    const set = new Set();
+    const lower = sentence.toLowerCase();
+    for (const run of lower.match(/[\u4e00-\u9fa5]+/g) || []) {
+        if (run.length === 1 && !STOP_CHARS.has(run)) set.add(run);
+        for (let i = 0; i < run.length - 1; i++) {
+            const bigram = run.slice(i, i + 2);
+            if (!(STOP_CHARS.has(bigram[0]) && STOP_CHARS.has(bigram[1]))) set.add(bigram);
+        }
+    }
+    for (const word of lower.match(/[a-z]{2,}|\d+/g) || []) set.add(word);
+    return set;
+}
+
+// TextRank 的句子相似度：共同词项数 / (log|A| + log|B|)
+function similarity(a, b) {
+    if (!a.size || !b.size) return 0;
+    let common = 0;
+    for (const t of a) if (b.has(t)) common++;
+    if (!common) return 0;
+    const denom = Math.log(a.size + 1) + Math.log(b.size + 1);
+    return common / denom;
+}
+
+function jaccard(a, b) {
+    let common = 0;
+    for (const t of a) if (b.has(t)) common++;
+    const union = a.size + b.size - common;
+    return union ? common / union : 0;
+}
+
+// 加权 PageRank，返回每个节点的分数
+function rank(weights) {
+    const n = weights.length;
+    const outSum = weights.map(row => row.reduce((s, w) => s + w, 0));
+    let scores = new Array(n).fill(1 / n);
+    for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+        const next = new Array(n).fill((1 - DAMPING) / n);
+        for (let j = 0; j < n; j++) {
+            if (!outSum[j]) continue;
+            for (let i = 0; i < n; i++) {
+                if (weights[j][i]) next[i] += DAMPING * scores[j] * weights[j][i] / outSum[j];
+            }
+        }
+        const delta = next.reduce((s, v, i) => s + Math.abs(v - scores[i]), 0);
+        scores = next;
+        if (delta < CONVERGENCE) break;
+    }
+    return scores;
+}
+
+// 把输入整理为带说话人的句子：[{ speaker, text, order, item, source }]（item 为条目序号，source 为条目的 id）
+function collectSentences(input, labels) {
+    const items = typeof input === 'string' ? [{ text: input }] : (Array.isArray(input) ? input : []);
+    const sentences = [];
+    items.forEach((item, index) => {
+        const text = typeof item === 'string' ? item : item && item.text;
+        const source = item && typeof item === 'object' && item.id ? item.id : null;
+        const roleSpeaker = item && item.role === 'user' ? labels.user : item && (item.role === 'assistant' || item.role === 'boyfriend') ? labels.assistant : null;
+        for (const rawLine of String(text || '').split('\n')) {
+            const line = rawLine.trim();
+            if (!line || HEADER_LINE.test(line)) continue;
+            const prefix = SPEAKER_PREFIX.exec(line);
+            const speaker = prefix ? prefix[1] : roleSpeaker;
+            for (const s of splitSentences(prefix ? line.slice(prefix[0].length) : line)) {
+                sentences.push({ speaker, text: s, order: sentences.length, item: index, source });
+            }
+        }
+    });
+    return sentences;
+}
+
+// 按原顺序输出：同一条目中同一说话人的相邻句子合为一行（不跨条目合并，每行只来自一条消息）。
+// 返回 { summary, lineSources }：每一行都能对应到来源 id 时 lineSources[i] 为第 i 行的来源，否则为 null
+function format(sentences) {
+    const lines = [];
+    const sources = [];
+    let last = null;
+    for (const s of sentences) {
+        if (last && last.speaker === s.speaker && last.order === s.order - 1 && last.item === s.item && s.speaker) {
+            lines[lines.length - 1] += s.text;
+        } else {
+            lines.push(s.speaker ? `${s.speaker}: ${s.text}` : s.text);
+            sources.push(s.source);
+        }
+        last = s;
+    }
+    return { summary: lines.join('\n'), lineSources: sources.every(Boolean) ? sources : null };
+}
+
+// 生成摘要。input 为字符串或 [{ role, text }]（role 为 user / assistant / system；text 中“我: …”形式的行保留说话人）
+// opts: { targetTokens, userLabel, assistantLabel }。输入本身不超过 targetTokens 时原样整理输出
+export function summarize(input, opts = {}) {
+    return summarizeWithSources(input, opts).summary;
+}
+
+// 同 summarize，条目为 [{ role, text, id }] 时一并返回每行的来源：{ summary, lineSources }（见 format）
+export function summarizeWithSources(input, { targetTokens = 300, userLabel = '我', assistantLabel = '男友' } = {}) {
+    const all = collectSentences(input, { user: userLabel, assistant: assistantLabel });
+    if (!all.length) return { summary: '', lineSources: null };
+    const lineTokens = (s) => estimateTokens(s.text) + (s.speaker ? 3 : 1); // 说话人前缀与换行
+    if (all.reduce((sum, s) => sum + lineTokens(s), 0) <= targetTokens) return format(all);
+
+    // 去掉完全重复的句子（“嗯嗯”“晚安”之类）后再排序
+    const seen = new Set();
+    let candidates = all.filter(s => {
+        const key = s.text.replace(/[\s。！？!?，,~～…]+/g, '');
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    if (candidates.length > MAX_SENTENCES) {
+        const step = candidates.length / MAX_SENTENCES;
+        candidates = Array.from({ length: MAX_SENTENCES }, (_, i) => candidates[Math.floor(i * step)]);
+    }
+
+    const termSets = candidates.map(s => terms(s.text));
+    const weights = candidates.map((_, i) => candidates.map((__, j) => (i === j ? 0 : similarity(termSets[i], termSets[j]))));
+    const scores = rank(weights);
+
+    const order = candidates.map((_, i) => i).sort((a, b) => scores[b] - scores[a]);
+    const chosen = [];
+    let used = 0;
+    for (const i of order) {
+        const cost = lineTokens(candidates[i]);
+        if (used + cost > targetTokens) continue;
+        if (chosen.some(j => jaccard(termSets[i], termSets[j]) > DUPLICATE_SIMILARITY)) continue;
+        chosen.push(i);
+        used += cost;
+    }
+    // 预算连最重要的一句都放不下时，截断这一句
+    if (!chosen.length) {
+        const top = candidates[order[0]];
+        const chars = Array.from(top.text);
+        let text = '';
+        for (const ch of chars) {
+            if (estimateTokens(text + ch) + 2 + (top.speaker ? 3 : 1) > targetTokens) break;
+            text += ch;
+        }
+        return format([{ ...top, text: text + '…' }]);
+    }
+    return format(chosen.sort((a, b) => a - b).map(i => candidates[i]));
+}
+
+// 把已有摘要拆回输入条目（再次合并摘要时使用）：记录了 lineSources 时每行带上来源 id，否则整段作为来源未知的一个条目
+export function summaryItems(summary, lineSources) {
+    const lines = String(summary || '').split('\n');
+    if (!Array.isArray(lineSources) || lineSources.length !== lines.length) return [{ role: 'system', text: summary || '' }];
+    return lines.map((text, i) => ({ role: 'system', text, id: lineSources[i] }));
+}
+
+// 在摘要中编辑（newText）或删除（newText 为 null）一条消息，只改动属于这条消息的整行：
+// 记录了 lineSources 时按来源找行（摘要中没有这条消息的句子时原样返回）；
+// 没有记录时找内容与整条消息相同、说话人也相符（或没有说话人前缀）的第一行，找不到返回 null，由调用方决定保留或移除整段摘要。
+// message 为改动前的消息 { id, text, role }；返回 { summary, lineSources }，删除后只剩标题行时 summary 为空字符串
+export function reviseSummary(summary, lineSources, message, newText = null) {
+    const lines = String(summary || '').split('\n');
+    const sources = Array.isArray(lineSources) && lineSources.length === lines.length ? lineSources : null;
+    const messageId = message.id;
+    const messageBody = splitSentences(message.text).join('');
+    const speakers = message.role === 'user' ? ['我'] : message.role ? ['男友', '对方'] : null;
+    const hits = [];
+    lines.forEach((line, i) => {
+        if (sources) {
+            if (sources[i] === messageId) hits.push(i);
+            return;
+        }
+        const prefix = SPEAKER_PREFIX.exec(line);
+        if (prefix && speakers && !speakers.includes(prefix[1])) return;
+        if (!hits.length && messageBody && (prefix ? line.slice(prefix[0].length) : line).trim() === messageBody) hits.push(i);
+    });
+    if (!sources && !hits.length) return null;
+
+    const outLines = [];
+    const outSources = [];
+    lines.forEach((line, i) => {
+        if (!hits.includes(i)) {
+            outLines.push(line);
+            outSources.push(sources ? sources[i] : null);
+        } else if (newText !== null && i === hits[0]) {
+            // 编辑：这条消息的第一行换成新内容，其余行去掉
+            const prefix = SPEAKER_PREFIX.exec(line);
+            outLines.push((prefix ? prefix[0] : '') + splitSentences(newText).join(''));
+            outSources.push(messageId);
+        }
+    });
+    const hasContent = outLines.some(line => line.trim() && !HEADER_LINE.test(line.trim()));
+    return { summary: hasContent ? outLines.join('\n') : '', lineSources: sources ? outSources : null };
+}
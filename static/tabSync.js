@@ -0,0 +1,57 @@
+// tabSync.js
+// 多标签页协作：同时打开多个标签页时，只有一个标签页（写入者）写会话快照，避免互相覆盖。
+// 写入者通过 Web Locks 选出：持有锁的标签页关闭后，排队的下一个标签页自动接任；
+// 其他标签页通过 BroadcastChannel 把变更交给写入者保存，写入者保存后广播新版本，各标签页据此同步。
+// 浏览器不支持 BroadcastChannel 或 Web Locks 时无法协作，每个标签页都视为写入者（与以前的行为相同）
+
+const CHANNEL_NAME = 'chat-sync';
+const LOCK_NAME = 'chat-writer';
+
+export class TabSync {
+    // onMessage(msg)：收到其他标签页的消息 { type, from, ... }；onLeaderChange(isLeader)：本页成为（或不再是）写入者
+    constructor({ onMessage = () => {}, onLeaderChange = () => {} } = {}) {
+        this.tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        this.onMessage = onMessage;
+        this.onLeaderChange = onLeaderChange;
+        this.isLeader = false;
+        this._channel = null;
+    }
+
+    get supported() {
+        return typeof BroadcastChannel === 'function'
+            && typeof navigator !== 'undefined' && !!navigator.locks && typeof navigator.locks.request === 'function';
+    }
+
+    start() {
+        if (!this.supported) {
+            this._setLeader(true);
+            return;
+        }
+        this._channel = new BroadcastChannel(CHANNEL_NAME);
+        this._channel.onmessage = (e) => {
+            const msg = e.data;
+            if (!msg || msg.from === this.tabId || (msg.to && msg.to !== this.tabId)) return;
+            this.onMessage(msg);
+        };
+        // 回调返回的 Promise 不结束，锁就一直持有，直到标签页关闭
+        navigator.locks.request(LOCK_NAME, () => {
+            this._setLeader(true);
+            return new Promise(() => {});
+        }).catch(e => {
+            console.warn('获取写入锁失败，本页直接写入:', e);
+            this._setLeader(true);
+        });
+    }
+
+    // 广播给其他标签页；to 为标签页 id 时只发给该标签页
+    post(type, data = {}, to = null) {
+        if (!this._channel) return;
+        this._channel.postMessage({ ...data, type, from: this.tabId, ...(to ? { to } : {}) });
+    }
+
+    _setLeader(isLeader) {
+        if (this.isLeader === isLeader) return;
+        this.isLeader = isLeader;
+        this.onLeaderChange(isLeader);
+    }
+}
@@ -0,0 +1,27 @@
+// tokenizer.js
+// 不依赖具体模型词表的 token 估算。常见 BPE 词表（GPT / Claude / Qwen 等）对中文大致一字一 token，
+// 英文约 4 个字母一个 token，按字符类别分别计数比“JSON 长度 / 4”准确得多（后者会把中文低估 3~4 倍）
+
+const MESSAGE_OVERHEAD = 4; // 每条消息的角色标记与分隔符
+
+// CJK 汉字 / 假名 / 谚文 | 拉丁字母串 | 数字串 | 换行 | 其他空白 | 其余单个字符（标点、emoji 等）
+const TOKEN_PATTERN = /([\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\u3040-\u30ff\uac00-\ud7af])|([A-Za-z]+)|(\d+)|(\n)|(\s+)|([^])/gu;
+
+export function estimateTokens(text) {
+    if (!text) return 0;
+    let tokens = 0;
+    for (const m of String(text).matchAll(TOKEN_PATTERN)) {
+        if (m[1]) tokens += 1;
+        else if (m[2]) tokens += Math.ceil(m[2].length / 4);
+        else if (m[3]) tokens += Math.ceil(m[3].length / 3);
+        else if (m[4]) tokens += 1;
+        else if (m[5]) continue; // 空格通常并入相邻的词
+        else tokens += m[6].codePointAt(0) > 0xffff ? 2 : 1; // emoji 等通常按字节拆成多个 token
+    }
+    return tokens;
+}
+
+// 一条对话消息（{ text }）的估算 token 数
+export function estimateMessageTokens(message) {
+    return estimateTokens(message && message.text) + MESSAGE_OVERHEAD;
+}
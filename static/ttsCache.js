@@ -0,0 +1,168 @@
+// ttsCache.js
+// 语音合成结果缓存：同一句话、同一音色只请求一次语音接口，之后直接从 IndexedDB 播放。
+// 记录 { textHash, voiceId, mime, size, blob, createdAt, lastUsed }，以 [textHash, voiceId] 为主键，不保存文本。
+// 语音本身就是消息内容，未加密的 SHA-256 也能被猜测核对（短句尤其容易），因此口令模式下（setVault）
+// 音频用口令密钥加密保存为 encryptedBlob，textHash 改为 HMAC-SHA256（HMAC 密钥随机生成，用口令密钥加密后存于 localStorage）。
+// 总大小超过 TTS_CACHE.maxBytes 或条数超过 maxEntries 时，按 lastUsed 淘汰最久未播放的语音
+
+import { STORES, idbPut, idbGet, idbTransaction, idbGetAllByIndex } from './db.js';
+import { TTS_CACHE } from './config.js';
+import { blobToDataUrl, dataUrlToBlob } from './mediaStore.js';
+import { encryptText, decryptText, encryptBytes, decryptBytes } from './crypto.js';
+
+const DEFAULT_VOICE = ''; // 未设置音色 ID 时使用语音接口的默认音色
+const MAC_KEY_STORAGE = 'ttsCacheKey'; // 口令模式下的 HMAC 密钥（口令密钥加密后的信封）
+
+const toHex = (buf) => [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, '0')).join('');
+const fromHex = (hex) => Uint8Array.from(hex.match(/../g) || [], h => parseInt(h, 16));
+const normalizeText = (text) => new TextEncoder().encode(String(text || '').trim());
+
+export async function textHash(text) {
+    return toHex(await crypto.subtle.digest('SHA-256', normalizeText(text)));
+}
+
+export class TtsCache {
+    constructor({ maxBytes = TTS_CACHE.maxBytes, maxEntries = TTS_CACHE.maxEntries } = {}) {
+        this.maxBytes = maxBytes;
+        this.maxEntries = maxEntries;
+        this.vault = null;   // 口令派生的密钥，null 为明文模式
+        this.macKey = null;
+    }
+
+    // 进入口令模式（vaultKey）或回到明文模式（null）。读不出原 HMAC 密钥（新口令）时生成新密钥并清空缓存：
+    // 旧记录已无法按新密钥查到。更换口令或关闭加密时调用方先 clear()
+    async setVault(vaultKey) {
+        this.vault = vaultKey;
+        this.macKey = null;
+        if (!vaultKey) {
+            localStorage.removeItem(MAC_KEY_STORAGE);
+            return;
+        }
+        let raw = null;
+        try {
+            const stored = JSON.parse(localStorage.getItem(MAC_KEY_STORAGE) || 'null');
+            if (stored) raw = fromHex(await decryptText(vaultKey, stored));
+        } catch (_) {
+            raw = null;
+        }
+        if (!raw || raw.length !== 32) {
+            raw = crypto.getRandomValues(new Uint8Array(32));
+            localStorage.setItem(MAC_KEY_STORAGE, JSON.stringify(await encryptText(vaultKey, toHex(raw))));
+            await this.clear();
+        }
+        this.macKey = await crypto.subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    }
+
+    // 记录的主键：明文模式为 SHA-256，口令模式为 HMAC
+    async _hash(text) {
+        if (!this.macKey) return textHash(text);
+        return toHex(await crypto.subtle.sign('HMAC', this.macKey, normalizeText(text)));
+    }
+
+    // 取出记录中的音频；口令模式下解密（未解锁时读不出，按未缓存处理）
+    async _blobOf(record) {
+        if (!record) return null;
+        if (record.blob) return record.blob;
+        if (!record.encryptedBlob || !this.vault) return null;
+        return new Blob([await decryptBytes(this.vault, record.encryptedBlob)], { type: record.mime || 'audio/mpeg' });
+    }
+
+    // 读取缓存的语音，没有时返回 null；命中时更新 lastUsed
+    async get(text, voiceId = DEFAULT_VOICE) {
+        const record = await idbGet(STORES.tts, [await this._hash(text), voiceId || DEFAULT_VOICE]);
+        const blob = await this._blobOf(record);
+        if (!blob) return null;
+        idbPut(STORES.tts, undefined, { ...record, lastUsed: Date.now() }).catch(e => console.warn('更新语音缓存失败:', e));
+        return blob;
+    }
+
+    async put(text, voiceId, blob) {
+        const now = Date.now();
+        await this._write({ textHash: await this._hash(text), voiceId: voiceId || DEFAULT_VOICE, mime: blob.type || 'audio/mpeg', size: blob.size, blob, createdAt: now, lastUsed: now });
+    }
+
+    async _write(record) {
+        // 单段语音就超过上限时不缓存
+        if (record.size > this.maxBytes) return;
+        if (this.vault) {
+            const { blob, ...rest } = record;
+            record = { ...rest, encryptedBlob: await encryptBytes(this.vault, await blob.arrayBuffer()) };
+        }
+        await idbPut(STORES.tts, undefined, record);
+        await this.evict();
+    }
+
+    // 按 lastUsed 从旧到新遍历，删除超出上限的部分
+    async evict() {
+        const { count, bytes } = await this.stats();
+        if (count <= this.maxEntries && bytes <= this.maxBytes) return;
+        let remainingCount = count;
+        let remainingBytes = bytes;
+        await idbTransaction(STORES.tts, 'readwrite', (tx) => {
+            const req = tx.objectStore(STORES.tts).index('lastUsed').openCursor();
+            req.onsuccess = () => {
+                const cursor = req.result;
+                if (!cursor || (remainingCount <= this.maxEntries && remainingBytes <= this.maxBytes)) return;
+                remainingCount--;
+                remainingBytes -= cursor.value.size || 0;
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    }
+
+    // { count, bytes }：设置面板中显示缓存占用
+    async stats() {
+        let count = 0;
+        let bytes = 0;
+        await idbTransaction(STORES.tts, 'readonly', (tx) => {
+            const req = tx.objectStore(STORES.tts).openCursor();
+            req.onsuccess = () => {
+                const cursor = req.result;
+                if (!cursor) return;
+                count++;
+                bytes += cursor.value.size || 0;
+                cursor.continue();
+            };
+        });
+        return { count, bytes };
+    }
+
+    clear() {
+        return idbTransaction(STORES.tts, 'readwrite', (tx) => { tx.objectStore(STORES.tts).clear(); });
+    }
+
+    // 导出：按消息文本查找缓存的语音（所有音色），[{ messageId, voiceId, mime, lastUsed, dataUrl }]
+    async exportClips(messages) {
+        const out = [];
+        for (const m of messages) {
+            if (!m || m.role === 'user' || !m.text) continue;
+            const records = await idbGetAllByIndex(STORES.tts, 'textHash', await this._hash(m.text));
+            for (const r of records) {
+                const blob = await this._blobOf(r);
+                if (!blob) continue;
+                out.push({ messageId: m.id, voiceId: r.voiceId, mime: r.mime, lastUsed: r.lastUsed, dataUrl: await blobToDataUrl(blob) });
+            }
+        }
+        return out;
+    }
+
+    // 导入：按 messageId 找回消息文本写入缓存（仍受大小上限约束）。返回写入的条数
+    async importClips(list, messages) {
+        const texts = new Map(messages.map(m => [m.id, m.text]));
+        let count = 0;
+        for (const item of Array.isArray(list) ? list : []) {
+            const text = item && texts.get(item.messageId);
+            if (!text || typeof item.dataUrl !== 'string' || !/^data:audio\//.test(item.dataUrl)) continue;
+            try {
+                const blob = await dataUrlToBlob(item.dataUrl);
+                const now = Date.now();
+                await this._write({ textHash: await this._hash(text), voiceId: typeof item.voiceId === 'string' ? item.voiceId : DEFAULT_VOICE, mime: blob.type, size: blob.size, blob, createdAt: now, lastUsed: now });
+                count++;
+            } catch (e) {
+                console.warn('导入语音缓存失败:', item.messageId, e);
+            }
+        }
+        return count;
+    }
+}
@@ -0,0 +1,84 @@
+// voiceRecorder.js
+// 按住说话：用 MediaRecorder 录音，松开后得到 { blob, mime, duration }（duration 为毫秒）。
+// 录音时长过短视为误触，返回 null；达到最长时长时自动停止，由 onLimit 通知页面
+
+export const MIN_DURATION = 800;
+export const MAX_DURATION = 60 * 1000; // 与微信一致，单条语音最长 60 秒
+
+// 按浏览器支持情况选择编码：Chromium / Firefox 为 webm(opus)，Safari 为 mp4(aac)
+const MIME_CANDIDATES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4', 'audio/ogg;codecs=opus'];
+
+export function voiceSupported() {
+    return typeof window !== 'undefined' && typeof window.MediaRecorder === 'function' &&
+        !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+export class VoiceRecorder {
+    constructor({ onLimit = () => {} } = {}) {
+        this.onLimit = onLimit;
+        this._starting = null;
+        this._recorder = null;
+        this._stream = null;
+        this._chunks = [];
+        this._startedAt = 0;
+        this._limitTimer = null;
+    }
+
+    get recording() {
+        return !!(this._starting || this._recorder);
+    }
+
+    // 开始录音；首次使用时浏览器会请求麦克风权限
+    start() {
+        if (this.recording) return this._starting || Promise.resolve();
+        this._starting = (async () => {
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            const mimeType = MIME_CANDIDATES.find(t => MediaRecorder.isTypeSupported(t));
+            const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+            this._chunks = [];
+            recorder.ondataavailable = (e) => { if (e.data && e.data.size) this._chunks.push(e.data); };
+            recorder.start();
+            this._stream = stream;
+            this._recorder = recorder;
+            this._startedAt = Date.now();
+            this._limitTimer = setTimeout(() => this.onLimit(), MAX_DURATION);
+        })();
+        return this._starting.finally(() => { this._starting = null; });
+    }
+
+    // 结束录音并返回录音；过短（包括还在等待麦克风授权时就松开）返回 null
+    async stop() {
+        if (this._starting) {
+            try { await this._starting; } catch (_) { return null; }
+        }
+        const recorder = this._recorder;
+        if (!recorder) return null;
+        const duration = Math.min(Date.now() - this._startedAt, MAX_DURATION);
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+        recorder.stop();
+        await stopped;
+        const mime = (recorder.mimeType || 'audio/webm').split(';')[0];
+        const blob = new Blob(this._chunks, { type: mime });
+        this._release();
+        if (duration < MIN_DURATION || !blob.size) return null;
+        return { blob, mime, duration };
+    }
+
+    // 放弃本次录音
+    async cancel() {
+        if (this._starting) {
+            try { await this._starting; } catch (_) { return; }
+        }
+        if (this._recorder && this._recorder.state !== 'inactive') this._recorder.stop();
+        this._release();
+    }
+
+    _release() {
+        clearTimeout(this._limitTimer);
+        this._limitTimer = null;
+        if (this._stream) this._stream.getTracks().forEach(t => t.stop());
+        this._stream = null;
+        this._recorder = null;
+        this._chunks = [];
+    }
+}
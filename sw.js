@@ -0,0 +1,120 @@
+// sw.js
+// Service Worker：预缓存页面外壳（index.html、static 下的脚本与图片），离线时仍能打开页面、浏览和搜索 IndexedDB 中的聊天记录。
+// 页面导航与同源脚本走网络优先（离线时用缓存），保证新页面加载的是同一版本的模块；图片等其他静态资源先用缓存、同时在后台更新；
+// 聊天、语音等后端接口（跨域）不经过缓存。新增 static 模块时需要加入 APP_SHELL，否则离线时无法加载
+
+const CACHE_NAME = 'app-shell-v1';
+
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/static/favicon.svg',
+  '/static/icon-192.png',
+  '/static/icon-512.png',
+  '/avatar_boyfriend.png',
+  '/avatar_me.png',
+  '/wallpaper.png',
+  // chat.js 及其导入的模块（旧版的 chat_new.js / memory_system.js 页面不再加载，不缓存）
+  '/static/chat.js',
+  '/static/compactionScheduler.js',
+  '/static/config.js',
+  '/static/contextBudget.js',
+  '/static/crypto.js',
+  '/static/db.js',
+  '/static/exporters.js',
+  '/static/factExtractor.js',
+  '/static/factStore.js',
+  '/static/importAdapters.js',
+  '/static/lexicalIndex.js',
+  '/static/mediaStore.js',
+  '/static/memoryStore.js',
+  '/static/memorySystem.js',
+  '/static/outbox.js',
+  '/static/proactiveScheduler.js',
+  '/static/speechQueue.js',
+  '/static/summarizer.js',
+  '/static/tabSync.js',
+  '/static/tokenizer.js',
+  '/static/ttsCache.js',
+  '/static/voiceRecorder.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// 删除旧版本的缓存并立即接管已打开的页面
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (request.destination === 'script' || url.pathname.endsWith('.js')) {
+    event.respondWith(scriptNetworkFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(request, event));
+  }
+});
+
+// 页面导航：优先取最新的 index.html 并更新缓存；离线时返回缓存的页面
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    const isShell = ['/', '/index.html'].includes(new URL(request.url).pathname);
+    if (response.ok && isShell) await cache.put('/index.html', response.clone());
+    return response;
+  } catch (e) {
+    const cached = await cache.match('/index.html');
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+// 脚本：页面与模块必须是同一版本，先请求网络并写回缓存；离线时才用缓存的版本
+async function scriptNetworkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (e) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    return new Response('离线且没有缓存', { status: 503, statusText: 'Offline' });
+  }
+}
+
+// 图片等其他静态资源：有缓存时立即返回，同时在后台请求新版本写回缓存
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const update = fetch(request)
+    .then(response => {
+      if (response.ok) return cache.put(request, response.clone()).then(() => response);
+      return response;
+    })
+    .catch(() => null);
+  if (cached) {
+    event.waitUntil(update);
+    return cached;
+  }
+  const response = await update;
+  return response || new Response('离线且没有缓存', { status: 503, statusText: 'Offline' });
+}
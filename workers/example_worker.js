@@ -1,5 +1,24 @@
 // example_worker.js
-// Cloudflare Worker 示例：提供 /api/summarize 的占位实现，真实部署时请替换为向 Claude/Anthropic/其他模型的 API 调用，并保护 API key
+// Cloudflare Worker 示例：提供 /api/chat、/api/summarize、/api/extract-facts 与 /api/stt。
+// /api/chat 通过 providers.js 的适配层调用模型（CHAT_PROVIDER=mock|anthropic|openai，默认 mock 可离线运行），
+// /api/summarize 使用与页面本地压缩相同的抽取式摘要（static/summarizer.js），不调用模型；
+// /api/stt 通过 stt.js 识别语音（STT_PROVIDER=mock|openai，mock 返回固定文本）。API key 请放在 Worker 的环境变量中。
+
+import { getProvider } from './providers.js';
+import { getSttProvider } from './stt.js';
+import { FACT_KEYS, extractFacts, sanitizeFacts } from '../static/factExtractor.js';
+import { summarizeWithSources } from '../static/summarizer.js';
+
+const MAX_ATTACHMENTS = 4;
+const IMAGE_DATA_URL = /^data:image\/(?:jpeg|png|gif|webp);base64,/;
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024; // 60 秒语音远小于此上限
+const PROACTIVE_REASONS = ['morning', 'inactivity'];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
 
 addEventListener('fetch', event => {
   event.respondWith(handle(event.request));
@@ -7,22 +26,244 @@ addEventListener('fetch', event => {
 
 async function handle(request) {
   const url = new URL(request.url);
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: CORS_HEADERS });
+  }
+  if (url.pathname === '/api/chat' && request.method === 'POST') {
+    return handleChat(request);
+  }
   if (url.pathname === '/api/summarize' && request.method === 'POST') {
     return handleSummarize(request);
   }
-  return new Response('Not found', { status: 404 });
+  if (url.pathname === '/api/extract-facts' && request.method === 'POST') {
+    return handleExtractFacts(request);
+  }
+  if (url.pathname === '/api/stt' && request.method === 'POST') {
+    return handleStt(request);
+  }
+  return new Response('Not found', { status: 404, headers: CORS_HEADERS });
+}
+
+function jsonResponse(obj, status = 200) {
+  return new Response(JSON.stringify(obj), { status, headers: { 'Content-Type':'application/json', ...CORS_HEADERS } });
+}
+
+// 合并相邻的同角色消息，并去掉开头的助手消息（部分模型要求 user/assistant 严格交替）
+function normalizeTurns(turns) {
+  const out = [];
+  for (const t of turns) {
+    if (!t.content || !t.content.trim()) continue;
+    const prev = out[out.length - 1];
+    if (prev && prev.role === t.role) prev.content += '\n' + t.content;
+    else out.push({ ...t });
+  }
+  while (out.length && out[0].role !== 'user') out.shift();
+  return out;
+}
+
+// 由人设档案拼出系统提示词；没有人设或提示词为空时使用默认设定
+function buildPersonaPrompt(persona, boyfriendName, userName) {
+  const name = (persona && persona.name) || boyfriendName;
+  const parts = [
+    (persona && persona.system_prompt) || `你是${name}，${userName}的男朋友。`,
+    `你正在和${userName}用微信聊天。用自然、口语化的中文回复，每个换行会显示为一条单独的消息。`
+  ];
+  if (persona && persona.speaking_style) parts.push(`说话风格：${persona.speaking_style}`);
+  if (persona && persona.example_dialogues) parts.push(`示例对话（模仿语气，不要照抄）：\n${persona.example_dialogues}`);
+  return parts.join('\n\n');
+}
+
+// 把页面发送的 {message, structured_context, user_name, boyfriend_name} 转换为统一的 {system, messages, attachments}；
+// attachments 为本次发送的图片 / 表情（structured_context.attachments，data URL），由 provider 附加到最后一条用户消息
+function buildChatRequest(body) {
+  const ctx = body.structured_context || null;
+  const userName = body.user_name || '我';
+  const boyfriendName = body.boyfriend_name || '男友';
+  const persona = (ctx && ctx.persona) || null;
+  let system = buildPersonaPrompt(persona, boyfriendName, userName);
+  let turns;
+
+  if (ctx && Array.isArray(ctx.recent_messages)) {
+    const facts = (ctx.facts || []).filter(f => f && f.label && f.value).map(f => `- ${f.label}：${f.value}`);
+    if (facts.length) system += `\n\n关于${userName}你知道的事：\n${facts.join('\n')}`;
+    const pinned = (ctx.pinned_memories || []).map(m => m.summary).filter(Boolean);
+    if (pinned.length) system += `\n\n${userName}希望你一直记住的事：\n${pinned.join('\n')}`;
+    const memory = (ctx.memory_chunks || []).map(mc => mc.summary).filter(Boolean);
+    if (memory.length) system += `\n\n以下是你们过去对话的摘要：\n${memory.join('\n\n')}`;
+    turns = ctx.recent_messages.map(m => ({ role: m.role === 'user' ? 'user' : 'assistant', content: m.text || '' }));
+    // 最近消息里通常已包含本次输入；没有时补上
+    const userText = ctx.user_message && ctx.user_message.text;
+    const last = turns[turns.length - 1];
+    if (userText && !(last && last.role === 'user' && last.content === userText)) {
+      turns.push({ role: 'user', content: userText });
+    }
+  } else {
+    turns = [{ role: 'user', content: String(body.message || '') }];
+  }
+
+  const attachments = (ctx && Array.isArray(ctx.attachments) ? ctx.attachments : [])
+    .filter(a => a && typeof a.data_url === 'string' && IMAGE_DATA_URL.test(a.data_url))
+    .slice(-MAX_ATTACHMENTS)
+    .map(a => ({ kind: a.kind === 'sticker' ? 'sticker' : 'image', dataUrl: a.data_url }));
+  if (attachments.length) {
+    system += `\n\n消息中的“[图片]”是${userName}发来的照片，“[表情]”是表情包，图片附在最后一条消息中。看图自然地回应，表情包按它表达的情绪回应。`;
+  }
+
+  // 主动消息：没有新的用户输入，以括号中的情境说明作为最后一条用户消息，让模型主动开口
+  const proactive = ctx && ctx.proactive && PROACTIVE_REASONS.includes(ctx.proactive.reason) ? ctx.proactive : null;
+  if (proactive) {
+    const instruction = proactiveInstruction(proactive, userName);
+    system += `\n\n${instruction}`;
+    turns.push({ role: 'user', content: `（${instruction}）` });
+  }
+
+  return { system, messages: normalizeTurns(turns), attachments, proactive, userName, boyfriendName };
+}
+
+// structured_context.proactive = {reason: 'morning' | 'inactivity', silenceHours, local_time}
+function proactiveInstruction(proactive, userName) {
+  const time = typeof proactive.local_time === 'string' && /^\d{1,2}:\d{2}$/.test(proactive.local_time) ? proactive.local_time : '';
+  if (proactive.reason === 'morning') {
+    return `现在是早上${time ? ' ' + time : ''}，${userName}还没有找你聊天。请你主动发早安问候，可以提到你们最近聊过的事，简短自然。`;
+  }
+  const hours = parseInt(proactive.silenceHours, 10);
+  return `${userName}已经${hours > 0 ? ` ${hours} 个小时` : '很久'}没有说话了${time ? `，现在是 ${time}` : ''}。请你主动找${userName}聊天，关心一下对方在做什么，简短自然，不要责怪对方没回消息。`;
+}
+
+async function handleChat(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: '请求体不是有效的 JSON' }, 400);
+  }
+
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (e) {
+    return jsonResponse({ error: String(e.message || e) }, 500);
+  }
+
+  const chatRequest = buildChatRequest(body);
+  if (!chatRequest.messages.length) return jsonResponse({ error: 'message 不能为空' }, 400);
+
+  // 非流式：收集完整回复后一次性返回（兼容旧前端）
+  if (!body.stream) {
+    try {
+      let reply = '';
+      for await (const delta of provider.chat(chatRequest)) reply += delta;
+      return jsonResponse({ reply, provider: provider.name });
+    } catch (e) {
+      return jsonResponse({ error: String(e.message || e) }, 502);
+    }
+  }
+
+  // 流式：以 SSE 输出 {delta}，结束时发送 [DONE]；中途出错发送 {error}
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const send = (data) => writer.write(encoder.encode(`data: ${data}\n\n`));
+
+  (async () => {
+    try {
+      for await (const delta of provider.chat(chatRequest)) {
+        await send(JSON.stringify({ delta }));
+      }
+      await send('[DONE]');
+    } catch (e) {
+      await send(JSON.stringify({ error: String(e.message || e) }));
+    } finally {
+      await writer.close();
+    }
+  })().catch(() => {}); // 客户端提前断开时忽略写入错误
+
+  return new Response(readable, {
+    status: 200,
+    headers: { 'Content-Type': 'text/event-stream; charset=utf-8', 'Cache-Control': 'no-cache', ...CORS_HEADERS }
+  });
 }
 
+// 请求 {messages: [{role, text, id?}], target_token}，返回 {summary, line_sources}（不超过 target_token 的估算 token 数）。
+// 摘要的每一行都来自带 id 的消息时 line_sources[i] 为第 i 行的来源 id，否则为 null
 async function handleSummarize(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: '请求体不是有效的 JSON' }, 400);
+  }
+  const messages = Array.isArray(body.messages) ? body.messages : [];
+  const target = parseInt(body.target_token, 10);
+  try {
+    const { summary, lineSources } = summarizeWithSources(messages, { targetTokens: target > 0 ? target : 300 });
+    return jsonResponse({ summary, line_sources: lineSources });
+  } catch (e) {
+    return jsonResponse({ error: String(e) }, 500);
+  }
+}
+
+// 从用户消息中提取资料：请求 {messages: [{id, text, ts}], known: [{key, value}]}，
+// 返回 {facts: [{key, value, confidence, sourceId}], source: 'model' | 'rules'}。
+// mock 或模型调用/解析失败时使用与页面相同的规则提取
+async function handleExtractFacts(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: '请求体不是有效的 JSON' }, 400);
+  }
+  const messages = (Array.isArray(body.messages) ? body.messages : [])
+    .filter(m => m && m.id && typeof m.text === 'string' && m.text.trim())
+    .slice(-50);
+  if (!messages.length) return jsonResponse({ facts: [], source: 'rules' });
+
+  let provider = null;
+  try {
+    provider = getProvider();
+  } catch (e) { /* 配置错误时退回规则提取 */ }
+
+  if (provider && provider.name !== 'mock') {
+    try {
+      const keys = Object.entries(FACT_KEYS).map(([key, def]) => `${key}（${def.label}${def.multi ? '，可多值' : ''}）`).join('、');
+      const known = (Array.isArray(body.known) ? body.known : []).map(f => `${f.key}=${f.value}`).join('；') || '无';
+      const system = [
+        '你负责从用户发给恋人的聊天消息中提取关于用户本人的长期资料。',
+        `可用的键：${keys}；其他重要资料用 "other:<中文标签>"。`,
+        `已知资料：${known}。只输出新出现、被确认或被更正的资料，不要猜测，忽略玩笑、假设和疑问句。`,
+        '只输出 JSON：{"facts":[{"key":"...","value":"...","confidence":0到1,"sourceId":"消息 id"}]}'
+      ].join('\n');
+      const content = messages.map(m => `[${m.id}] ${m.text}`).join('\n');
+      let reply = '';
+      for await (const delta of provider.chat({ system, messages: [{ role: 'user', content }] })) reply += delta;
+      const json = reply.slice(reply.indexOf('{'), reply.lastIndexOf('}') + 1);
+      const facts = sanitizeFacts(JSON.parse(json).facts, messages);
+      return jsonResponse({ facts, source: 'model' });
+    } catch (e) {
+      console.warn('extract facts via model failed', e);
+    }
+  }
+  return jsonResponse({ facts: extractFacts(messages), source: 'rules' });
+}
+
+// 语音识别：请求体为录音原始数据（Content-Type 为音频类型，如 audio/webm），返回 {text, provider}
+async function handleStt(request) {
+  const mime = (request.headers.get('Content-Type') || '').split(';')[0].trim();
+  if (!mime.startsWith('audio/')) return jsonResponse({ error: '请求体应为音频（Content-Type: audio/*）' }, 415);
+  const audio = await request.arrayBuffer();
+  if (!audio.byteLength) return jsonResponse({ error: '录音为空' }, 400);
+  if (audio.byteLength > MAX_AUDIO_BYTES) return jsonResponse({ error: '录音过大' }, 413);
+
+  let provider;
+  try {
+    provider = getSttProvider();
+  } catch (e) {
+    return jsonResponse({ error: String(e.message || e) }, 500);
+  }
   try {
-    const body = await request.json();
-    const messages = body.messages || [];
-    // 简单占位总结：取前后几条拼接并截断
-    const preview = messages.slice(0,3).map(m=>m.text).join(' | ');
-    const tail = messages.slice(-3).map(m=>m.text).join(' | ');
-    const summary = `自动生成摘要（占位） - 前3：${preview} ... 后3：${tail}`;
-    return new Response(JSON.stringify({ summary }), { status: 200, headers: { 'Content-Type':'application/json' } });
+    const text = await provider.transcribe(audio, mime);
+    return jsonResponse({ text, provider: provider.name });
   } catch (e) {
-    return new Response(JSON.stringify({ error: String(e) }), { status: 500, headers: { 'Content-Type':'application/json' } });
+    return jsonResponse({ error: String(e.message || e) }, 502);
   }
 }
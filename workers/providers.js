@@ -0,0 +1,150 @@
+// providers.js
+// /api/chat 的模型提供方适配层：每个 provider 把统一的 {system, messages} 请求转换为对应 API 调用，
+// 并以异步迭代器逐段产出回复文本（delta）。通过环境变量 CHAT_PROVIDER 选择，默认使用离线 mock。
+
+// 读取 Worker 环境变量（Service Worker 语法下绑定为全局变量）
+export function readEnv(name, fallback) {
+  const v = globalThis[name];
+  return typeof v === 'string' && v !== '' ? v : fallback;
+}
+
+// 逐个读取上游 SSE 事件的 data 字段
+async function* readSSE(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    for (const evt of events) {
+      const data = evt.split(/\r?\n/).filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('\n');
+      if (data) yield data;
+    }
+  }
+}
+
+// 简单字符串哈希（FNV-1a），用于 mock 回复的确定性选择
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// 把本次发送的图片附加到最后一条用户消息；toPart(attachment) 返回对应 API 的图片内容块
+function withImages(messages, attachments, toPart) {
+  if (!attachments || !attachments.length) return messages;
+  const out = messages.slice();
+  for (let i = out.length - 1; i >= 0; i--) {
+    if (out[i].role !== 'user') continue;
+    out[i] = { role: 'user', content: [...attachments.map(toPart), { type: 'text', text: out[i].content }] };
+    break;
+  }
+  return out;
+}
+
+// 离线 mock：相同输入总是得到相同回复，便于本地开发与测试
+const mockProvider = {
+  name: 'mock',
+  async *chat({ messages, userName, proactive }) {
+    const last = [...messages].reverse().find(m => m.role === 'user');
+    const text = last ? last.content : '';
+    const openers = ['嗯嗯，我在呢', '收到啦', '哈哈，你说', '好呀'];
+    const closers = ['今天过得怎么样？', '想你了。', '记得早点休息哦。', '还有什么想和我说的吗？'];
+    const h = hashString(text);
+    const echo = text.length > 20 ? text.slice(0, 20) + '…' : text;
+    // 主动消息没有可以回应的输入：早安或问候
+    const reply = proactive ? [
+      proactive.reason === 'morning' ? `早安，${userName || '宝贝'}` : `在忙吗，${userName || '宝贝'}？`,
+      proactive.reason === 'morning' ? '起床了没有？' : '好久没听到你的消息了',
+      closers[(h >>> 8) % closers.length]
+    ].join('\n') : [
+      `${openers[h % openers.length]}，${userName || '宝贝'}`,
+      `你刚才说“${echo}”`,
+      closers[(h >>> 8) % closers.length]
+    ].join('\n');
+    // 按固定长度切块输出，模拟流式
+    for (let i = 0; i < reply.length; i += 4) {
+      yield reply.slice(i, i + 4);
+    }
+  }
+};
+
+// Anthropic Messages API
+const anthropicProvider = {
+  name: 'anthropic',
+  async *chat({ system, messages, attachments }) {
+    const apiKey = readEnv('ANTHROPIC_API_KEY');
+    if (!apiKey) throw new Error('ANTHROPIC_API_KEY 未配置');
+    const resp = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: readEnv('ANTHROPIC_MODEL', 'claude-3-5-sonnet-latest'),
+        max_tokens: parseInt(readEnv('CHAT_MAX_TOKENS', '1024'), 10),
+        system,
+        messages: withImages(messages, attachments, (a) => {
+          const [, mediaType, data] = /^data:([^;]+);base64,(.*)$/.exec(a.dataUrl);
+          return { type: 'image', source: { type: 'base64', media_type: mediaType, data } };
+        }),
+        stream: true
+      })
+    });
+    if (!resp.ok) throw new Error(`Anthropic API ${resp.status}: ${await resp.text()}`);
+    for await (const data of readSSE(resp)) {
+      let evt;
+      try { evt = JSON.parse(data); } catch (_) { continue; }
+      if (evt.type === 'content_block_delta' && evt.delta && evt.delta.type === 'text_delta') yield evt.delta.text;
+      else if (evt.type === 'error') throw new Error(evt.error && evt.error.message || 'Anthropic stream error');
+    }
+  }
+};
+
+// OpenAI 兼容的 Chat Completions 接口（OpenAI、DeepSeek、本地 vLLM 等）
+const openaiProvider = {
+  name: 'openai',
+  async *chat({ system, messages, attachments }) {
+    const apiKey = readEnv('OPENAI_API_KEY');
+    if (!apiKey) throw new Error('OPENAI_API_KEY 未配置');
+    const base = readEnv('OPENAI_BASE_URL', 'https://api.openai.com/v1').replace(/\/$/, '');
+    const resp = await fetch(`${base}/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+      body: JSON.stringify({
+        model: readEnv('OPENAI_MODEL', 'gpt-4o-mini'),
+        messages: [{ role: 'system', content: system }, ...withImages(messages, attachments, (a) => ({ type: 'image_url', image_url: { url: a.dataUrl } }))],
+        stream: true
+      })
+    });
+    if (!resp.ok) throw new Error(`OpenAI API ${resp.status}: ${await resp.text()}`);
+    for await (const data of readSSE(resp)) {
+      if (data === '[DONE]') return;
+      let evt;
+      try { evt = JSON.parse(data); } catch (_) { continue; }
+      const delta = evt.choices && evt.choices[0] && evt.choices[0].delta;
+      if (delta && delta.content) yield delta.content;
+    }
+  }
+};
+
+const PROVIDERS = {
+  mock: mockProvider,
+  anthropic: anthropicProvider,
+  openai: openaiProvider
+};
+
+// 根据 CHAT_PROVIDER 选择 provider；未知名称时报错，避免静默回退到 mock
+export function getProvider(name = readEnv('CHAT_PROVIDER', 'mock')) {
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`未知的 CHAT_PROVIDER: ${name}`);
+  return provider;
+}
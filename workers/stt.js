@@ -0,0 +1,49 @@
+// stt.js
+// /api/stt 的语音识别适配层：把页面上传的录音（请求体为音频原始数据）转换为文字。
+// 通过环境变量 STT_PROVIDER 选择（mock | openai），默认使用离线 mock，返回固定文本便于本地开发
+
+import { readEnv } from './providers.js';
+
+export const MOCK_TRANSCRIPT = '这是一条测试语音';
+
+// 离线 mock：不解析音频，总是返回同一段文字
+const mockStt = {
+  name: 'mock',
+  async transcribe() {
+    return MOCK_TRANSCRIPT;
+  }
+};
+
+// OpenAI 兼容的 /audio/transcriptions 接口（Whisper 等），以 multipart 上传
+const openaiStt = {
+  name: 'openai',
+  async transcribe(audio, mime) {
+    const apiKey = readEnv('OPENAI_API_KEY');
+    if (!apiKey) throw new Error('OPENAI_API_KEY 未配置');
+    const base = readEnv('OPENAI_BASE_URL', 'https://api.openai.com/v1').replace(/\/$/, '');
+    const ext = (mime.split('/')[1] || 'webm').split(';')[0];
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: mime }), `voice.${ext}`);
+    form.append('model', readEnv('STT_MODEL', 'whisper-1'));
+    form.append('language', readEnv('STT_LANGUAGE', 'zh'));
+    const resp = await fetch(`${base}/audio/transcriptions`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      body: form
+    });
+    if (!resp.ok) throw new Error(`OpenAI STT ${resp.status}: ${await resp.text()}`);
+    const data = await resp.json();
+    return String(data.text || '').trim();
+  }
+};
+
+const STT_PROVIDERS = {
+  mock: mockStt,
+  openai: openaiStt
+};
+
+export function getSttProvider(name = readEnv('STT_PROVIDER', 'mock')) {
+  const provider = STT_PROVIDERS[name];
+  if (!provider) throw new Error(`未知的 STT_PROVIDER: ${name}`);
+  return provider;
+}